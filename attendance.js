@@ -8,35 +8,55 @@ document.addEventListener('DOMContentLoaded', () => {
     const capturedImage = document.getElementById('capturedImage');
     const recordTime = document.getElementById('recordTime');
     const recordDate = document.getElementById('recordDate');
+    const punchTypeSelect = document.getElementById('punchType');
+    const recordPunchType = document.getElementById('recordPunchType');
+    const recordSite = document.getElementById('recordSite');
 
     // NEW: Get the permanent display elements from main.html
     const latestDateDisplay = document.getElementById('latestDate');
     const latestTimeDisplay = document.getElementById('latestTime');
 
-    const EMPLOYER_ID = localStorage.getItem('eppi_employer_id'); 
-    const LOGGER_NAME = localStorage.getItem('eppi_user_name'); 
-    
-    if (!EMPLOYER_ID || !LOGGER_NAME) {
-        return; 
-    }
+    const enrolFaceBtn = document.getElementById('enrolFaceBtn');
+    const faceStatusDisplay = document.getElementById('faceStatus');
+    const livenessPrompt = document.getElementById('livenessPrompt');
+    const pendingPunchesDisplay = document.getElementById('pendingPunches');
+    const PUNCH_NAMES = { IN: 'Check In', BREAK_OUT: 'Break Out', BREAK_IN: 'Break In', OUT: 'Check Out' };
+
+    // Liveness frames are small: the server only needs the head pose, not a sharp photo
+    const LIVENESS_FRAME_WIDTH = 480;
+    const LIVENESS_FRAME_INTERVAL_MS = 400;
+    const LIVENESS_FRAMES_PER_STEP = 5;
 
     let stream = null; 
+    // 'punch' marks attendance; 'enrol' captures the reference face photo
+    let captureMode = 'punch';
 
-    markAttendanceBtn.addEventListener('click', () => {
+    // Resolves with the device position, or null if it is denied or unavailable.
+    // The server decides whether a punch without a location is accepted.
+    const getLocation = () => new Promise(resolve => {
+        if (!navigator.geolocation) return resolve(null);
+        navigator.geolocation.getCurrentPosition(
+            position => resolve(position.coords),
+            () => resolve(null),
+            { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
+        );
+    });
+
+    const stopCamera = () => {
         if (stream) {
             stream.getTracks().forEach(track => track.stop());
             stream = null;
-            cameraSection.style.display = 'none';
-            markAttendanceBtn.textContent = 'Mark Your Attendance';
-            return;
         }
-        
+    };
+
+    const startCamera = (facingMode) => {
         cameraSection.style.display = 'block';
-        markAttendanceBtn.textContent = 'Stop Camera';
         resultArea.style.display = 'none';
+        // Enrolment only needs the face, not a punch direction
+        punchTypeSelect.style.display = captureMode === 'punch' ? '' : 'none';
 
         navigator.mediaDevices.getUserMedia({ 
-            video: { facingMode: "environment" }
+            video: { facingMode }
         })
         .then(videoStream => {
             stream = videoStream;
@@ -46,67 +66,287 @@ document.addEventListener('DOMContentLoaded', () => {
         .catch(err => {
             alert("Could not access the camera. Make sure permissions are granted (especially HTTPS).");
         });
+    };
+
+    markAttendanceBtn.addEventListener('click', () => {
+        if (stream) {
+            stopCamera();
+            cameraSection.style.display = 'none';
+            markAttendanceBtn.textContent = 'Mark Your Attendance';
+            return;
+        }
+        
+        captureMode = 'punch';
+        markAttendanceBtn.textContent = 'Stop Camera';
+        // Front camera, so the employee can see and follow the liveness prompts
+        startCamera("user");
+    });
+
+    if (enrolFaceBtn) {
+        enrolFaceBtn.addEventListener('click', () => {
+            stopCamera();
+            captureMode = 'enrol';
+            markAttendanceBtn.textContent = 'Stop Camera';
+            startCamera("user");
+        });
+    }
+
+    // Sends the reference photo; attendance photos are compared against it from then on
+    const submitEnrolment = (blob) => {
+        const formData = new FormData();
+        formData.append('photo', blob, `reference_${Date.now()}.jpeg`);
+
+        return fetch('/api/face/enroll', { method: 'POST', body: formData })
+        .then(response => response.json())
+        .then(data => {
+            alert(data.message);
+            if (data.success) {
+                cameraSection.style.display = 'none';
+                faceStatusDisplay.textContent = 'Enrolled';
+                enrolFaceBtn.style.display = 'none';
+            }
+        });
+    };
+
+    // Draws the current video frame, scaled down to at most maxWidth pixels, as a JPEG blob
+    const grabFrame = (maxWidth) => new Promise(resolve => {
+        const scale = maxWidth ? Math.min(1, maxWidth / videoFeed.videoWidth) : 1;
+        canvas.width = Math.round(videoFeed.videoWidth * scale);
+        canvas.height = Math.round(videoFeed.videoHeight * scale);
+        canvas.getContext('2d').drawImage(videoFeed, 0, 0, canvas.width, canvas.height);
+        canvas.toBlob(resolve, 'image/jpeg', 0.8);
     });
 
-    captureBtn.addEventListener('click', () => {
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    // Asks the server for a head-turn challenge and records a short burst of frames while
+    // the employee follows the prompts. Resolves with null when liveness is switched off.
+    const runLivenessChallenge = async () => {
+        const response = await fetch('/api/attendance/liveness-challenge', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ punchType: punchTypeSelect.value })
+        });
+        const challenge = await response.json();
+        if (!challenge.success) throw Object.assign(new Error(challenge.message), { record: challenge.record });
+        if (!challenge.required) return null;
+
+        // The first frame is the employee facing the camera; the rest follow the prompts
+        const framesPerStep = Math.min(LIVENESS_FRAMES_PER_STEP, Math.floor((challenge.maxFrames - 1) / challenge.prompts.length));
+        const frames = [await grabFrame(LIVENESS_FRAME_WIDTH)];
+        for (const prompt of challenge.prompts) {
+            livenessPrompt.textContent = prompt;
+            for (let i = 0; i < framesPerStep; i++) {
+                await wait(LIVENESS_FRAME_INTERVAL_MS);
+                frames.push(await grabFrame(LIVENESS_FRAME_WIDTH));
+            }
+        }
+        livenessPrompt.textContent = '';
+        return { challengeId: challenge.challengeId, frames };
+    };
+
+    const resetCaptureButton = () => {
+        captureBtn.disabled = false;
+        captureBtn.textContent = 'Capture Photo';
+        markAttendanceBtn.textContent = 'Mark Your Attendance';
+    };
+
+    captureBtn.addEventListener('click', async () => {
         captureBtn.disabled = true;
         captureBtn.textContent = 'Recording...';
 
-        canvas.width = videoFeed.videoWidth;
-        canvas.height = videoFeed.videoHeight;
-        canvas.getContext('2d').drawImage(videoFeed, 0, 0);
-
         const now = new Date();
         const timestamp = now.toISOString();
+        // Ask for the position at capture time, in parallel with the photo and liveness check
+        const locationPromise = captureMode === 'punch' ? getLocation() : null;
+        const blob = await grabFrame();
 
-        canvas.toBlob(function(blob) {
-            if (stream) {
-                stream.getTracks().forEach(track => track.stop());
-                stream = null;
-            }
+        if (captureMode === 'enrol') {
+            stopCamera();
+            submitEnrolment(blob)
+            .catch(() => alert('Failed to connect to the server.'))
+            .finally(() => {
+                resetCaptureButton();
+                captureMode = 'punch';
+            });
+            return;
+        }
 
-            const formData = new FormData();
-            formData.append('photo', blob, `${EMPLOYER_ID}_${Date.now()}.jpeg`);
-            formData.append('timestamp', timestamp);
-            formData.append('employerId', EMPLOYER_ID);
-            formData.append('loggerName', LOGGER_NAME);
-
-            fetch('/api/attendance/mark', { // Relative path
-                method: 'POST',
-                body: formData 
-            })
-            .then(response => response.json())
-            .then(data => {
-                if (data.success) {
-                    // Update temporary success area
-                    cameraSection.style.display = 'none';
-                    resultArea.style.display = 'block';
-                    capturedImage.src = data.record.photoUrl; 
-                    recordDate.textContent = data.record.date;
-                    recordTime.textContent = data.record.time;
-                    resultArea.querySelector('.success-note').textContent = 'Attendance saved!';
-                    
-                    // NEW: Update permanent dashboard display and save to local storage
-                    if (latestDateDisplay && latestTimeDisplay) {
-                        latestDateDisplay.textContent = data.record.date;
-                        latestTimeDisplay.textContent = data.record.time;
-
-                        localStorage.setItem('eppi_latest_date', data.record.date);
-                        localStorage.setItem('eppi_latest_time', data.record.time);
-                    }
+        // Without a connection there is no liveness challenge to fetch; the punch is
+        // queued on the device instead (see punch-queue.js)
+        let liveness = null;
+        let offline = !navigator.onLine;
+        if (!offline) {
+            try {
+                captureBtn.textContent = 'Follow the prompt...';
+                liveness = await runLivenessChallenge();
+            } catch (error) {
+                livenessPrompt.textContent = '';
+                // fetch() rejects with a TypeError when the network is down
+                if (error instanceof TypeError) {
+                    offline = true;
+                } else if (error.record) {
+                    // Refused as a duplicate before the challenge started
+                    stopCamera();
+                    showRecord(error.record, error.message, true);
+                    resetCaptureButton();
+                    return;
                 } else {
-                    alert('Error: ' + data.message);
+                    alert('Error: ' + error.message);
+                    // The camera stays on so the employee can simply try again
+                    captureBtn.disabled = false;
+                    captureBtn.textContent = 'Capture Photo';
+                    return;
                 }
-            })
-            .catch(error => {
-                alert('Failed to connect to the server.');
-            })
-            .finally(() => {
-                captureBtn.disabled = false;
-                captureBtn.textContent = 'Capture Photo';
-                markAttendanceBtn.textContent = 'Mark Your Attendance';
-            });
+            }
+        }
+        stopCamera();
+        captureBtn.textContent = 'Recording...';
 
-        }, 'image/jpeg', 0.8);
+        const coords = await locationPromise;
+        const punch = {
+            clientPunchId: crypto.randomUUID(),
+            // Queued punches are only uploaded in this employee's session (see punch-queue.js)
+            employerId: localStorage.getItem('eppi_display_id'),
+            capturedAt: timestamp,
+            punchType: punchTypeSelect.value,
+            photo: blob
+        };
+        if (coords) {
+            punch.latitude = coords.latitude;
+            punch.longitude = coords.longitude;
+            punch.accuracy = coords.accuracy;
+        }
+
+        if (offline) {
+            queuePunch(punch).finally(resetCaptureButton);
+            return;
+        }
+
+        const formData = new FormData();
+        // Employee identity is taken from the session cookie on the server
+        formData.append('photo', blob, `attendance_${Date.now()}.jpeg`);
+        formData.append('timestamp', timestamp);
+        formData.append('punchType', punch.punchType);
+        formData.append('clientPunchId', punch.clientPunchId);
+        if (coords) {
+            formData.append('latitude', coords.latitude);
+            formData.append('longitude', coords.longitude);
+            formData.append('accuracy', coords.accuracy);
+        }
+        if (liveness) {
+            formData.append('livenessChallengeId', liveness.challengeId);
+            liveness.frames.forEach((frame, index) => formData.append('frames', frame, `frame_${index}.jpeg`));
+        }
+
+        fetch('/api/attendance/mark', { // Relative path
+            method: 'POST',
+            body: formData 
+        })
+        .then(response => response.json(), () => {
+            // The upload never reached the server (or its answer never came back):
+            // keep the punch and retry with the same clientPunchId
+            queuePunch(punch);
+            return null;
+        })
+        .then(data => {
+            if (!data) return;
+            if (data.success) {
+                showRecord(data.record, data.record.reviewReasons.length
+                    ? `${data.message} Flagged for HR review: ${data.record.reviewReasons.join(', ')}.`
+                    : data.message);
+
+                // Suggest the usual next punch for the following capture
+                suggestNextPunch(data.record.punchType);
+                showLatestAttendance(data.record);
+            } else if (data.record) {
+                // Refused as a duplicate: show the punch that is already on record instead
+                showRecord(data.record, data.message, true);
+            } else {
+                alert('Error: ' + data.message);
+            }
+        })
+        .catch(error => {
+            alert('Failed to connect to the server.');
+        })
+        .finally(resetCaptureButton);
     });
-});
\ No newline at end of file
+
+    // Fills the result area with a saved punch; existing=true when it was refused as a duplicate
+    const showRecord = (record, note, existing = false) => {
+        cameraSection.style.display = 'none';
+        resultArea.style.display = 'block';
+        resultArea.querySelector('h4').textContent = existing ? 'Already Recorded' : 'Attendance Recorded!';
+        capturedImage.src = record.photoUrl; 
+        recordDate.textContent = record.date;
+        recordTime.textContent = record.time;
+        recordPunchType.textContent = PUNCH_NAMES[record.punchType] || 'N/A';
+        recordSite.textContent = record.siteName || 'N/A';
+        const successNote = resultArea.querySelector('.success-note');
+        successNote.textContent = note;
+        successNote.classList.toggle('duplicate-note', existing);
+    };
+
+    // --- Offline queue ---
+
+    const suggestNextPunch = (punchType) => {
+        const nextPunch = { IN: 'OUT', BREAK_OUT: 'BREAK_IN', BREAK_IN: 'OUT', OUT: 'IN' };
+        punchTypeSelect.value = nextPunch[punchType];
+    };
+
+    const showLatestAttendance = (record) => {
+        if (latestDateDisplay && latestTimeDisplay) {
+            latestDateDisplay.textContent = record.date;
+            latestTimeDisplay.textContent = record.time;
+        }
+        // The dashboard reloads the latest record and its history calendar from the server
+        document.dispatchEvent(new CustomEvent('eppi:punch-saved', { detail: record }));
+    };
+
+    const showPendingCount = () => PunchQueue.count(localStorage.getItem('eppi_display_id'))
+    .then(count => {
+        pendingPunchesDisplay.style.display = count ? '' : 'none';
+        pendingPunchesDisplay.textContent = `${count} punch${count === 1 ? '' : 'es'} saved on this device, waiting for a connection to upload.`;
+    })
+    .catch(() => {});
+
+    const queuePunch = (punch) => PunchQueue.add({ ...punch, queuedAt: new Date().toISOString() })
+    .then(() => {
+        cameraSection.style.display = 'none';
+        suggestNextPunch(punch.punchType);
+        PunchQueue.requestSync();
+        alert(`No connection. Your ${PUNCH_NAMES[punch.punchType]} at ${new Date(punch.capturedAt).toLocaleTimeString()} is saved on this device and will upload automatically when you are back online.`);
+    })
+    .catch(() => alert('No connection, and the punch could not be saved on this device. Please try again.'))
+    .finally(showPendingCount);
+
+    // Reports what happened to queued punches, whether the page or the service worker sent them
+    const showSyncResults = (results) => {
+        const refused = results.filter(result => !result.success);
+        const saved = results.filter(result => result.success);
+        if (saved.length) showLatestAttendance(saved[saved.length - 1].record);
+        const awaiting = saved.filter(result => result.record && result.record.approvalStatus === 'Pending');
+        if (awaiting.length) {
+            alert(`${awaiting.length} punch(es) saved while offline ${awaiting.length === 1 ? 'was' : 'were'} uploaded and will count once HR approves them.`);
+        }
+        if (refused.length) {
+            alert('Some punches saved while offline were not accepted:\n' + refused
+                .map(result => `${PUNCH_NAMES[result.punch.punchType]} at ${new Date(result.punch.capturedAt).toLocaleString()}: ${result.message}`)
+                .join('\n'));
+        }
+        showPendingCount();
+    };
+
+    const syncQueue = () => PunchQueue.flush().then(({ results }) => showSyncResults(results)).catch(() => {});
+
+    // The service worker itself is registered by pwa.js
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'punch-queue-synced') showSyncResults(event.data.results);
+        });
+    }
+    // Browsers without Background Sync rely on the page sending the queue itself
+    window.addEventListener('online', syncQueue);
+    if (navigator.onLine) syncQueue();
+    else showPendingCount();
+});
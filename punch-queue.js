@@ -0,0 +1,109 @@
+// Offline punch queue, shared by the attendance page and the service worker (sw.js).
+// Punches that could not be uploaded are kept in IndexedDB with their photo and
+// device capture time, and sent again once the connection is back. Each punch
+// carries a clientPunchId, so the server saves it only once however often it is sent,
+// and the employerId of whoever captured it, so it is only ever sent in their session.
+(function (scope) {
+    const DB_NAME = 'eppi-attendance';
+    const STORE = 'punchQueue';
+    const SYNC_TAG = 'eppi-punch-queue';
+
+    const openDb = () => new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE, { keyPath: 'clientPunchId' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Runs one request against the store and resolves with its result
+    const withStore = (mode, action) => openDb().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        const request = action(transaction.objectStore(STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    }));
+
+    const add = (punch) => withStore('readwrite', store => store.put(punch));
+    const all = () => withStore('readonly', store => store.getAll());
+    const remove = (clientPunchId) => withStore('readwrite', store => store.delete(clientPunchId));
+    // Punches waiting for one employee; others who use the same device keep theirs
+    const allFor = (employerId) => all().then(punches => punches.filter(punch => punch.employerId === employerId));
+    const count = (employerId) => allFor(employerId).then(punches => punches.length);
+
+    const toFormData = (punch) => {
+        const formData = new FormData();
+        formData.append('photo', punch.photo, `attendance_${punch.clientPunchId}.jpeg`);
+        formData.append('timestamp', punch.capturedAt);
+        formData.append('punchType', punch.punchType);
+        formData.append('clientPunchId', punch.clientPunchId);
+        formData.append('queued', 'true');
+        if (punch.latitude !== undefined) {
+            formData.append('latitude', punch.latitude);
+            formData.append('longitude', punch.longitude);
+            formData.append('accuracy', punch.accuracy);
+        }
+        return formData;
+    };
+
+    // Who is logged in, asked of the server so the service worker can tell too; null when nobody is
+    const currentEmployerId = () => fetch('/api/me')
+    .then(response => (response.ok ? response.json() : null))
+    .then(data => (data && data.success ? data.user.employerId : null));
+
+    // Uploads the logged-in employee's queued punches oldest first, and resolves with
+    // { employerId, results }. A punch leaves the queue once the server has saved or
+    // refused it. Everything else stops the run and leaves the rest for the next attempt:
+    // network and server errors, no session (401), a session that must first change its
+    // password or set up two-factor (403), an earlier upload still in progress (429), and
+    // answers that are not the server's JSON (a proxy or captive portal page).
+    let flushing = null;
+    const flush = () => {
+        if (flushing) return flushing;
+        const results = [];
+        flushing = currentEmployerId()
+        .then(async employerId => {
+            if (!employerId) return { employerId, results };
+            const punches = await allFor(employerId);
+            punches.sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+            for (const punch of punches) {
+                let response;
+                try {
+                    response = await fetch('/api/attendance/mark', { method: 'POST', body: toFormData(punch) });
+                } catch (error) {
+                    break;
+                }
+                if (response.status === 401 || response.status === 429 || response.status >= 500) break;
+
+                const data = await response.json().catch(() => null);
+                if (!data || data.mustChangePassword || data.twoFactorSetupRequired) break;
+                await remove(punch.clientPunchId);
+                results.push({ punch, ...data });
+            }
+            return { employerId, results };
+        })
+        .finally(() => {
+            flushing = null;
+        });
+        return flushing;
+    };
+
+    // Asks the service worker to flush when the connection returns; the page
+    // also flushes on its own where Background Sync is not supported.
+    const requestSync = () => {
+        if (!('serviceWorker' in navigator) || !('SyncManager' in scope)) return Promise.resolve(false);
+        return navigator.serviceWorker.ready
+        .then(registration => registration.sync.register(SYNC_TAG))
+        .then(() => true)
+        .catch(() => false);
+    };
+
+    scope.PunchQueue = { SYNC_TAG, add, all, allFor, remove, count, flush, requestSync };
+})(self);
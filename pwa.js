@@ -0,0 +1,39 @@
+// Installable app support, shared by the login page and the dashboard: registers the
+// service worker (sw.js) and offers an "Install App" button where the browser allows it.
+(function () {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(() => {});
+    }
+
+    let installPrompt = null;
+    const installButton = () => document.getElementById('installAppBtn');
+
+    // The browser fires this when the app can be installed; keep it for the button click
+    window.addEventListener('beforeinstallprompt', event => {
+        event.preventDefault();
+        installPrompt = event;
+        const button = installButton();
+        if (button) button.style.display = '';
+    });
+
+    window.addEventListener('appinstalled', () => {
+        installPrompt = null;
+        const button = installButton();
+        if (button) button.style.display = 'none';
+    });
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const button = installButton();
+        if (!button) return;
+        button.addEventListener('click', event => {
+            event.preventDefault();
+            if (!installPrompt) return;
+            installPrompt.prompt();
+            // A prompt can only be used once
+            installPrompt.userChoice.finally(() => {
+                installPrompt = null;
+                button.style.display = 'none';
+            });
+        });
+    });
+})();
@@ -8,9 +8,24 @@ const { Readable } = require('stream');
 // *** NEW: Using the correct, modern Brevo package name ***
 const Brevo = require('sib-api-v3-sdk'); 
 const bcrypt = require('bcryptjs'); 
+const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const path = require('path');
+const fs = require('fs');
+// Face matching runs locally on the CPU through TensorFlow.js' WebAssembly backend
+const faceapi = require('@vladmandic/face-api/dist/face-api.node-wasm.js');
+const jpeg = require('jpeg-js');
+const QRCode = require('qrcode');
 
 const app = express();
 const PORT = process.env.PORT || 3000; 
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 for one hop) makes req.ip the client's
+// address instead of the proxy's, which login throttling per IP depends on
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
 
 // --- CLOUDINARY CONFIGURATION ---
 cloudinary.config({
@@ -28,13 +43,202 @@ defaultClient.authentications['api-key'].apiKey = process.env.BREVO_API_KEY;
 const apiInstance = new Brevo.TransactionalEmailsApi();
 // --- END BREVO CONFIG ---
 
+// --- EMAIL TRANSPORT CONFIGURATION ---
+// EMAIL_TRANSPORT=brevo (default) sends through the Brevo API above; EMAIL_TRANSPORT=log
+// prints every email on the server console instead, for local testing without Brevo.
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'brevo';
+// Public address of the app for links in emails (e.g. https://hr.example.com). Password
+// reset and invitation emails are refused without it: links are never built from the
+// Host header, which anyone can set to send the token to their own server.
+const APP_URL = (process.env.APP_URL || '').replace(/\/+$/, '');
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+// --- END EMAIL TRANSPORT CONFIG ---
+
+// --- SESSION CONFIGURATION ---
+// Sessions are random tokens kept in a signed, httpOnly cookie. Only a hash of the
+// token is stored in MongoDB, so a leaked database cannot be replayed as cookies.
+const SESSION_COOKIE = 'eppi_session';
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+    console.warn('SESSION_SECRET is not set. Using a random secret; all sessions will end when the server restarts.');
+    SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+}
+// --- END SESSION CONFIG ---
+
 // --- MONGODB CONNECTION SETUP ---
 const MONGODB_URI = process.env.MONGODB_URI;
 mongoose.connect(MONGODB_URI)
-    .then(() => console.log('MongoDB connected successfully.'))
+    .then(() => {
+        console.log('MongoDB connected successfully.');
+        // Holidays used to be unique per date; per-site calendars replaced that index.
+        // A failed migration is logged on its own and does not hold up the admin bootstrap.
+        Holiday.syncIndexes().catch(err => console.error('Holiday index migration error:', err));
+        return ensureInitialAdmin();
+    })
     .catch(err => console.error('MongoDB connection error:', err));
 
 
+// --- ROLES & PERMISSIONS ---
+// Each permission lists the roles allowed to use it. Routes check permissions,
+// never role names, so a new role only needs to be added here.
+const ROLES = ['employee', 'supervisor', 'hr', 'admin'];
+const PERMISSIONS = {
+    'attendance:mark': ['employee', 'supervisor', 'hr', 'admin'],
+    'attendance:approve-offline': ['hr', 'admin'],
+    'leave:submit': ['employee', 'supervisor', 'hr', 'admin'],
+    'leave:approve': ['hr', 'admin'],
+    'leave:manage-entitlements': ['hr', 'admin'],
+    'report:download': ['supervisor', 'hr', 'admin'],
+    'users:assign-roles': ['admin'],
+    'sites:manage': ['admin'],
+    'face:enroll-others': ['hr', 'admin'],
+    'shifts:manage': ['hr', 'admin'],
+    'overtime:manage': ['admin'],
+    'holidays:manage': ['hr', 'admin'],
+    'users:manage': ['hr', 'admin']
+};
+const permissionsFor = (role) => Object.keys(PERMISSIONS).filter(p => PERMISSIONS[p].includes(role));
+// --- END ROLES ---
+
+// --- ATTENDANCE PUNCH TYPES ---
+// IN/OUT open and close a shift; the break punches are optional inside a shift.
+const PUNCH_TYPES = ['IN', 'BREAK_OUT', 'BREAK_IN', 'OUT'];
+const PUNCH_LABELS = { IN: 'Check In', BREAK_OUT: 'Break Out', BREAK_IN: 'Break In', OUT: 'Check Out' };
+// An IN without an OUT within this many hours is reported as a missing check-out
+const MAX_SHIFT_HOURS = Number(process.env.MAX_SHIFT_HOURS) || 16;
+
+// --- TIME ZONE & LOCALE CONFIGURATION ---
+// Punches are stored as a UTC timestamp plus the IANA zone they were made in. A site
+// may have its own zone (Site.timeZone); TIME_ZONE is the organisation's zone, used
+// for employees without one and for report date ranges. LOCALE is the default way
+// dates and times are displayed; each user can choose their own (User.locale).
+const TIME_ZONE = process.env.TIME_ZONE || 'Asia/Dubai';
+const LOCALE = process.env.LOCALE || 'en-US';
+
+// --- PUNCH RULES ---
+// Checked before any photo is uploaded, so repeated taps do not create extra records.
+// No two punches closer together than this
+const PUNCH_MIN_INTERVAL_SECONDS = Number(process.env.PUNCH_MIN_INTERVAL_SECONDS ?? 60);
+// At most this many punches per employee per calendar day (0 means no limit)
+const PUNCH_MAX_PER_DAY = Number(process.env.PUNCH_MAX_PER_DAY ?? 8);
+// Refuse e.g. a second Check In straight after a Check In ('off' to allow)
+const PUNCH_BLOCK_SAME_DIRECTION = process.env.PUNCH_BLOCK_SAME_DIRECTION !== 'off';
+
+// --- GEOFENCE CONFIGURATION ---
+// 'off'    - location is stored but never checked
+// 'flag'   - punches outside every site are saved and marked 'outside' for HR
+// 'reject' - punches outside every site (or without a location) are refused
+// Nothing is checked until at least one active site exists.
+const GEOFENCE_MODE = process.env.GEOFENCE_MODE || 'flag';
+
+// --- FACE VERIFICATION CONFIGURATION ---
+// Each punch photo is compared with the employee's enrolled reference face.
+// Distance is the face-api descriptor distance: 0 is identical, above ~0.6 is usually someone else.
+const FACE_VERIFICATION = process.env.FACE_VERIFICATION !== 'off';
+const FACE_MATCH_THRESHOLD = Number(process.env.FACE_MATCH_THRESHOLD) || 0.5;
+const FACE_MODEL_PATH = process.env.FACE_MODEL_PATH
+    || path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+
+// --- LIVENESS CONFIGURATION ---
+// Before a punch the server hands out a one-time challenge (turn the head left/right,
+// sometimes in sequence). The browser films a few frames while the employee follows it
+// and the server checks the head really moved that way. A photo held up to the camera
+// cannot turn its head.
+// 'reject' refuses punches that fail, 'flag' saves them for HR review, 'off' skips the check.
+const LIVENESS_MODE = process.env.LIVENESS_MODE || 'reject';
+const LIVENESS_CHALLENGE_TTL_SECONDS = 120;
+const LIVENESS_MAX_FRAMES = 12;
+// How far the nose must move across the face (as a fraction of face width) to count as a turn
+const LIVENESS_TURN_THRESHOLD = Number(process.env.LIVENESS_TURN_THRESHOLD) || 0.1;
+// Every filmed frame must show the face in the punch photo, so one person cannot follow
+// the prompts while a photo of someone else is sent. Looser than FACE_MATCH_THRESHOLD
+// because the frames are smaller and the head is turned.
+const LIVENESS_SAME_FACE_THRESHOLD = Number(process.env.LIVENESS_SAME_FACE_THRESHOLD) || 0.6;
+const LIVENESS_STEP_PROMPTS = { left: 'Turn your head slowly to your LEFT', right: 'Turn your head slowly to your RIGHT' };
+
+// --- OFFLINE PUNCH CONFIGURATION ---
+// Punches captured without a connection are queued on the device and uploaded later.
+// They keep their device capture time, as long as it is no older than this. The server
+// cannot tell a real offline capture from a client that only says so, so the limit is
+// kept to about a shift and every queued punch is flagged for HR review.
+const OFFLINE_PUNCH_MAX_AGE_HOURS = Number(process.env.OFFLINE_PUNCH_MAX_AGE_HOURS) || 12;
+if (!(OFFLINE_PUNCH_MAX_AGE_HOURS > 0 && OFFLINE_PUNCH_MAX_AGE_HOURS <= 24)) {
+    throw new Error('OFFLINE_PUNCH_MAX_AGE_HOURS must be more than 0 and at most 24.');
+}
+// Queued punches arriving later than this after capture are marked as synced late
+const SYNCED_LATE_AFTER_SECONDS = 120;
+// Allowance for device clocks running slightly ahead of the server
+const CLOCK_SKEW_SECONDS = 300;
+
+// --- REGISTRATION CONFIGURATION ---
+// REGISTRATION_MODE=approval (default): anyone can register, and the account is created
+// once HR approves it. REGISTRATION_MODE=invite: only employees HR invited can sign up.
+// HR invitations work in both modes.
+const REGISTRATION_MODES = ['approval', 'invite'];
+const REGISTRATION_MODE = process.env.REGISTRATION_MODE || 'approval';
+if (!REGISTRATION_MODES.includes(REGISTRATION_MODE)) {
+    throw new Error(`REGISTRATION_MODE must be one of: ${REGISTRATION_MODES.join(', ')}.`);
+}
+// Format of new employer IDs, and an example shown to people registering
+const EMPLOYER_ID_PATTERN = new RegExp(process.env.EMPLOYER_ID_PATTERN || '^EPPI-\\d{3,}$');
+const EMPLOYER_ID_EXAMPLE = process.env.EMPLOYER_ID_EXAMPLE || 'EPPI-100';
+// Email addresses must at least look like name@domain.tld
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Employer IDs nobody can claim by registering (HR can still invite them). INITIAL_ADMIN_ID
+// is always reserved: whoever holds it is promoted to admin on startup.
+const RESERVED_EMPLOYER_IDS = new Set([
+    ...(process.env.RESERVED_EMPLOYER_IDS || 'EPPI-000,EPPI-001').split(','),
+    process.env.INITIAL_ADMIN_ID || ''
+].map(id => id.trim().toUpperCase()).filter(Boolean));
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+
+// --- LOGIN SECURITY CONFIGURATION ---
+// Failed logins are counted per username and per client IP over a sliding window. Reaching
+// a limit blocks further attempts, even with the right password, until failures age out.
+const LOGIN_WINDOW_MINUTES = Number(process.env.LOGIN_WINDOW_MINUTES) || 15;
+const LOGIN_MAX_FAILURES_PER_ACCOUNT = Number(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT) || 5;
+const LOGIN_MAX_FAILURES_PER_IP = Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+
+// --- TWO-FACTOR AUTHENTICATION CONFIGURATION ---
+// Time-based one-time codes (TOTP, RFC 6238) from an authenticator app, as a second login
+// step. Optional for everyone, and required for the roles listed here.
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'EPPI';
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin,hr').split(',').map(role => role.trim()).filter(Boolean);
+if (TWO_FACTOR_REQUIRED_ROLES.some(role => !ROLES.includes(role))) {
+    throw new Error(`TWO_FACTOR_REQUIRED_ROLES may only contain: ${ROLES.join(', ')}.`);
+}
+const BACKUP_CODE_COUNT = 10;
+// The second step must follow the password within this time and within this many tries
+const TWO_FACTOR_CHALLENGE_MINUTES = 5;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+// --- PASSWORD POLICY ---
+// Applies to every new password (registration, change and reset), not to existing ones.
+const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+// How many of lowercase letters, uppercase letters, digits and symbols must be mixed (1-4)
+const PASSWORD_MIN_CHARACTER_CLASSES = Math.min(4, Math.max(1, Number(process.env.PASSWORD_MIN_CHARACTER_CLASSES) || 3));
+// Commonly used and breached passwords, bundled so the check works offline
+const COMMON_PASSWORDS = new Set(fs.readFileSync(path.join(__dirname, 'common-passwords.txt'), 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#')));
+
+// --- LEAVE POLICY ---
+// Default yearly quota (working days) per leave type. A null quota means the type is
+// not limited. maxCarryOver days of unused balance move to the next year, and
+// proRate scales the quota for employees who join part-way through a year.
+// HR can override the quota per employee (User.leaveEntitlements).
+const LEAVE_POLICY = {
+    Annual: { yearlyQuota: 30, maxCarryOver: 5, proRate: true },
+    Sick: { yearlyQuota: 15, maxCarryOver: 0, proRate: false },
+    Emergency: { yearlyQuota: 5, maxCarryOver: 0, proRate: false },
+    Other: { yearlyQuota: null, maxCarryOver: 0, proRate: false }
+};
+const LEAVE_TYPES = Object.keys(LEAVE_POLICY);
+// Days of the week (0 = Sunday) that are not counted as leave days
+const WEEKEND_DAYS = (process.env.WEEKEND_DAYS || '0,6').split(',').map(Number);
+
 // --- MONGODB SCHEMAS ---
 const UserSchema = new mongoose.Schema({
     name: { type: String, required: true },
@@ -43,18 +247,79 @@ const UserSchema = new mongoose.Schema({
     email: { type: String },                 
     employerId: { type: String, required: true, unique: true },
     username: { type: String, required: true, unique: true },
-    password: { type: String, required: true } 
+    password: { type: String, required: true },
+    role: { type: String, enum: ROLES, default: 'employee' },
+    department: { type: String },
+    joinDate: { type: Date }, // missing for accounts created before leave balances existed
+    leaveEntitlements: { type: Map, of: Number }, // per-employee yearly quota overrides, keyed by leave type
+    faceDescriptor: { type: [Number], select: false, default: undefined }, // 128-value descriptor of the enrolled reference face
+    referencePhotoUrl: { type: String },
+    referencePhotoPath: { type: String },
+    faceEnrolledAt: { type: Date },
+    faceEnrolledBy: { type: String }, // employerId of whoever captured the reference photo
+    site: { type: String }, // name of the work site whose holiday calendar and time zone apply
+    locale: { type: String }, // BCP 47 locale for displaying dates and times, e.g. 'en-GB'; LOCALE when missing
+    active: { type: Boolean, default: true }, // deactivated accounts cannot log in or punch; their history is kept
+    deactivatedAt: { type: Date },
+    deactivatedBy: { type: String },
+    mustChangePassword: { type: Boolean }, // set when an admin resets the password; cleared once the user picks a new one
+    loginFailuresClearedAt: { type: Date }, // password reset time; failed logins before it no longer lock the account
+    // Two-factor authentication. The secret is base32 (as authenticator apps expect it); the
+    // pending secret is the one being enrolled until the first code confirms it.
+    twoFactorSecret: { type: String, select: false },
+    twoFactorPendingSecret: { type: String, select: false },
+    twoFactorEnabledAt: { type: Date },
+    twoFactorBackupCodes: { type: [String], select: false, default: undefined }, // sha256 hashes of unused codes
+    twoFactorLastStep: { type: Number } // last accepted TOTP time step, so a code cannot be replayed
 });
 
 const AttendanceSchema = new mongoose.Schema({
     employerId: { type: String, required: true },
     loggerName: { type: String, required: true },
-    timestamp: { type: Date, default: Date.now },
+    timestamp: { type: Date, default: Date.now }, // the instant of the punch (UTC)
+    timeZone: { type: String }, // IANA zone the punch was made in; TIME_ZONE when missing
+    // Work date, YYYY-MM-DD in timeZone: the day the punch's shift started, so a check-out
+    // after midnight stays with its night shift. Older punches hold an en-US display date.
     date: { type: String }, 
-    time: { type: String }, 
+    time: { type: String }, // display time, only on punches from before time zones were stored
+    punchType: { type: String, enum: PUNCH_TYPES }, // missing on records from before punch types existed
+    location: {
+        latitude: { type: Number },
+        longitude: { type: Number },
+        accuracy: { type: Number } // metres, as reported by the browser
+    },
+    siteName: { type: String },          // nearest site at the time of the punch
+    distanceFromSite: { type: Number },  // metres outside that site's boundary (0 when inside)
+    geofenceStatus: { type: String, enum: ['inside', 'outside', 'no-location', 'unchecked'] },
+    faceStatus: { type: String, enum: ['matched', 'low-confidence', 'no-face', 'not-enrolled', 'unchecked'] },
+    faceMatchScore: { type: Number }, // 1 - descriptor distance, so higher is more alike
+    reviewReasons: { type: [String], default: undefined }, // why HR should look at this punch
+    liveness: {
+        status: { type: String, enum: ['passed', 'failed', 'unchecked'] },
+        steps: { type: [String], default: undefined }, // the challenge that was asked, e.g. ['left', 'right']
+        framesAnalyzed: { type: Number },
+        framesWithFace: { type: Number },
+        maxTurn: { type: Number }, // largest head turn seen, as a fraction of face width
+        reason: { type: String }
+    },
+    clientPunchId: { type: String }, // idempotency key generated on the device, so retried uploads are saved once
+    syncedLate: { type: Boolean },   // uploaded from the offline queue well after capture; timestamp is the capture time
+    receivedAt: { type: Date },      // when the server got a late-synced punch
+    // Offline punches wait for HR when LIVENESS_MODE is reject; missing on every other punch
+    approvalStatus: { type: String, enum: ['Pending', 'Approved', 'Rejected'] },
+    decidedBy: { type: String },
+    decidedByName: { type: String },
+    decidedAt: { type: Date },
     photoPath: { type: String }, 
     photoUrl: { type: String, required: true } 
 });
+// Reports sort by time across everyone, or per employee over a date range
+AttendanceSchema.index({ timestamp: 1 });
+AttendanceSchema.index({ employerId: 1, timestamp: 1 });
+AttendanceSchema.index(
+    { employerId: 1, clientPunchId: 1 },
+    { unique: true, partialFilterExpression: { clientPunchId: { $exists: true } } }
+);
 
 const LeaveSchema = new mongoose.Schema({
     employerId: { type: String, required: true },
@@ -62,14 +327,206 @@ const LeaveSchema = new mongoose.Schema({
     leaveType: { type: String, required: true },  
     startDate: { type: Date, required: true },
     endDate: { type: Date, required: true },
+    days: { type: Number }, // working days requested (weekends and holidays excluded)
     reason: { type: String },
-    status: { type: String, default: 'Pending' }, 
+    status: { type: String, enum: ['Pending', 'Approved', 'Rejected'], default: 'Pending' }, 
+    submittedAt: { type: Date, default: Date.now },
+    decidedBy: { type: String },     // employerId of the HR user who approved/rejected
+    decidedByName: { type: String },
+    decidedAt: { type: Date },
+    decisionComment: { type: String }
+});
+
+// One row per employee, year and leave type. The entitlement itself is computed from
+// LEAVE_POLICY and the employee's overrides; only carry-over and usage are stored.
+const LeaveBalanceSchema = new mongoose.Schema({
+    employerId: { type: String, required: true },
+    year: { type: Number, required: true },
+    leaveType: { type: String, required: true },
+    carriedOver: { type: Number, default: 0 },
+    used: { type: Number, default: 0 }
+});
+LeaveBalanceSchema.index({ employerId: 1, year: 1, leaveType: 1 }, { unique: true });
+
+// A work site is either a circle (center + radius) or a polygon of [latitude, longitude] points
+const SiteSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    shape: { type: String, enum: ['circle', 'polygon'], required: true },
+    center: {
+        latitude: { type: Number },
+        longitude: { type: Number }
+    },
+    radiusMeters: { type: Number },
+    polygon: { type: [[Number]] },
+    active: { type: Boolean, default: true },
+    timeZone: { type: String } // IANA zone, e.g. 'Asia/Kolkata'; the organisation's TIME_ZONE when missing
+});
+
+// A public holiday. Without a site it applies to everyone; with one, only to employees
+// of that site, and it takes precedence over an organisation-wide holiday on the same day.
+const HolidaySchema = new mongoose.Schema({
+    date: { type: String, required: true }, // YYYY-MM-DD
+    name: { type: String, required: true },
+    site: { type: String, default: null }    // Site name, or null for every site
+});
+HolidaySchema.index({ date: 1, site: 1 }, { unique: true });
+
+// Expected working hours. endTime at or before startTime means the shift ends the next day.
+const ShiftSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    startTime: { type: String, required: true }, // HH:MM local time of the employee's site
+    endTime: { type: String, required: true },   // HH:MM local time of the employee's site
+    graceMinutes: { type: Number, default: 10 }, // late arrival / early leave tolerance
+    breakMinutes: { type: Number, default: 60 }, // unpaid break allowed within the shift
+    days: { type: [Number], default: [1, 2, 3, 4, 5] } // days of week the shift runs, 0 = Sunday
+});
+
+// Which shift an employee works from startDate on. One shift is a fixed schedule; several
+// rotate, each one running for rotationDays days, starting with the first on startDate.
+// A later assignment for the same employee takes over from its own startDate.
+const ShiftAssignmentSchema = new mongoose.Schema({
+    employerId: { type: String, required: true },
+    shiftIds: { type: [mongoose.Schema.Types.ObjectId], ref: 'Shift', required: true },
+    rotationDays: { type: Number, default: 7 },
+    startDate: { type: String, required: true }, // YYYY-MM-DD
+    endDate: { type: String },                   // YYYY-MM-DD, inclusive; open-ended when missing
+    assignedBy: { type: String },
+    assignedAt: { type: Date, default: Date.now }
+});
+ShiftAssignmentSchema.index({ employerId: 1, startDate: 1 });
+
+// Overtime rules, edited by admin; a single document keyed 'default'
+const OvertimePolicySchema = new mongoose.Schema({
+    key: { type: String, default: 'default', unique: true },
+    dailyThresholdHours: { type: Number, default: 8 },   // hours a working day before overtime; 0 = no daily rule
+    weeklyThresholdHours: { type: Number, default: 48 }, // regular hours a week before overtime; 0 = no weekly rule
+    weekStartsOn: { type: Number, default: 1 },          // 0 = Sunday
+    overtimeMultiplier: { type: Number, default: 1.25 }, // working-day overtime rate
+    weekendMultiplier: { type: Number, default: 1.5 },   // every hour on a weekend day (WEEKEND_DAYS)
+    holidayMultiplier: { type: Number, default: 2 },     // every hour on a public holiday
+    nightStart: { type: String, default: '22:00' },      // HH:MM local time where the shift was worked
+    nightEnd: { type: String, default: '06:00' },
+    nightPremium: { type: Number, default: 0.25 },       // extra fraction of the base rate for night hours
+    payPeriod: { type: String, enum: ['weekly', 'biweekly', 'monthly'], default: 'monthly' },
+    payPeriodAnchor: { type: String, default: '2024-01-01' }, // a day a weekly/biweekly period starts on
+    updatedBy: { type: String },
+    updatedAt: { type: Date }
+});
+
+const LivenessChallengeSchema = new mongoose.Schema({
+    challengeId: { type: String, required: true, unique: true },
+    employerId: { type: String, required: true },
+    steps: { type: [String], required: true },
+    expiresAt: { type: Date, required: true }
+});
+LivenessChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SessionSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true },
+    employerId: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+});
+// MongoDB removes expired sessions on its own through this TTL index
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Forgotten-password links. Only a hash of the emailed token is stored; the record is
+// deleted as soon as the link is used, so each link works once.
+const PasswordResetSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true },
+    employerId: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+});
+PasswordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Self-registrations waiting for HR approval. The account (User) is only created when
+// HR approves, so pending people never appear in rosters or reports.
+const RegistrationSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    employerId: { type: String, required: true, unique: true },
+    username: { type: String, required: true, unique: true },
+    password: { type: String, required: true }, // bcrypt hash, moved to the account on approval
+    jobTitle: { type: String },
+    department: { type: String },
+    contactNumber: { type: String },
+    email: { type: String },
     submittedAt: { type: Date, default: Date.now }
 });
 
+// Employees HR has invited to sign up. The emailed link (only its hash is stored) can
+// only create the account for this employerId.
+const InvitationSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true },
+    employerId: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    email: { type: String, required: true },
+    jobTitle: { type: String },
+    department: { type: String },
+    site: { type: String },
+    invitedBy: { type: String }, // employerId of the HR user or admin who sent it
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+});
+InvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Logins waiting for their second step: the password was right, the authenticator code is next
+const TwoFactorChallengeSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true },
+    employerId: { type: String, required: true },
+    username: { type: String, required: true },
+    attempts: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+});
+TwoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Every login attempt, used for throttling and as the sign-in history of an account
+const LoginAuditSchema = new mongoose.Schema({
+    username: { type: String, required: true }, // as typed, so attempts on unknown names count too
+    employerId: { type: String },               // when the username belongs to an account
+    success: { type: Boolean, required: true },
+    // Why it failed: 'bad-credentials' or 'bad-2fa-code' (the reasons counted towards lockout),
+    // 'locked', 'ip-limited', 'deactivated' or 'pending'. 'backup-code' marks a success that used one.
+    reason: { type: String },
+    ip: { type: String },
+    userAgent: { type: String },
+    at: { type: Date, default: Date.now }
+});
+LoginAuditSchema.index({ username: 1, at: -1 });
+LoginAuditSchema.index({ ip: 1, at: -1 });
+LoginAuditSchema.index({ employerId: 1, at: -1 });
+
+// Who changed what on an employee account. changes maps each edited field to { from, to }.
+const AuditLogSchema = new mongoose.Schema({
+    action: { type: String, required: true }, // e.g. 'user.update', 'user.deactivate'
+    targetId: { type: String, required: true }, // employerId of the account that changed
+    actorId: { type: String },                  // employerId of whoever changed it
+    actorName: { type: String },
+    changes: { type: mongoose.Schema.Types.Mixed },
+    at: { type: Date, default: Date.now }
+});
+AuditLogSchema.index({ targetId: 1, at: -1 });
+
 const User = mongoose.model('User', UserSchema);
 const Attendance = mongoose.model('Attendance', AttendanceSchema);
+// Punches that count towards shifts, status and overtime: all but the offline punches
+// that HR has not approved (yet)
+const COUNTED_PUNCHES = { approvalStatus: { $nin: ['Pending', 'Rejected'] } };
 const Leave = mongoose.model('Leave', LeaveSchema);
+const Session = mongoose.model('Session', SessionSchema);
+const LeaveBalance = mongoose.model('LeaveBalance', LeaveBalanceSchema);
+const Holiday = mongoose.model('Holiday', HolidaySchema);
+const Site = mongoose.model('Site', SiteSchema);
+const LivenessChallenge = mongoose.model('LivenessChallenge', LivenessChallengeSchema);
+const Shift = mongoose.model('Shift', ShiftSchema);
+const ShiftAssignment = mongoose.model('ShiftAssignment', ShiftAssignmentSchema);
+const OvertimePolicy = mongoose.model('OvertimePolicy', OvertimePolicySchema);
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+const PasswordReset = mongoose.model('PasswordReset', PasswordResetSchema);
+const Registration = mongoose.model('Registration', RegistrationSchema);
+const Invitation = mongoose.model('Invitation', InvitationSchema);
+const LoginAudit = mongoose.model('LoginAudit', LoginAuditSchema);
+const TwoFactorChallenge = mongoose.model('TwoFactorChallenge', TwoFactorChallengeSchema);
 
 // --- Multer Configuration ---
 const upload = multer({ storage: multer.memoryStorage() });
@@ -78,6 +535,7 @@ const upload = multer({ storage: multer.memoryStorage() });
 app.use(express.static(__dirname)); 
 app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser(SESSION_SECRET));
 
 // --- Helper Function to upload buffer to Cloudinary ---
 const uploadStream = (buffer, options) => {
@@ -90,207 +548,4279 @@ const uploadStream = (buffer, options) => {
     });
 };
 
-// --- API Endpoints ---
+// --- Email Transports ---
+// Each transport delivers one message ({ to, subject, htmlContent }) or throws.
+const emailTransports = {
+    brevo: async ({ to, subject, htmlContent }) => {
+        const sendSmtpEmail = new Brevo.SendSmtpEmail();
+        sendSmtpEmail.subject = subject;
+        sendSmtpEmail.htmlContent = htmlContent;
+        // Sender MUST be a verified sender in your Brevo account
+        sendSmtpEmail.sender = { name: "EPPI HR System", email: process.env.EMAIL_USER };
+        sendSmtpEmail.to = [{ email: to }];
+        await apiInstance.sendTransacEmail(sendSmtpEmail);
+    },
+    log: async ({ to, subject, htmlContent }) => {
+        console.log(`--- Email to ${to}: ${subject} ---\n${htmlContent}\n--- End of email ---`);
+    }
+};
+if (!emailTransports[EMAIL_TRANSPORT]) {
+    throw new Error(`EMAIL_TRANSPORT must be one of: ${Object.keys(emailTransports).join(', ')}.`);
+}
 
-// API 1: Login (SECURED with HASHING)
-app.post('/api/login', async (req, res) => {
-    const { username, password } = req.body;
-    try {
-        const user = await User.findOne({ username }); 
-        
-        if (user) {
-            // 1. COMPARE HASHED PASSWORD
-            const isMatch = await bcrypt.compare(password, user.password);
+// --- Helper Function to send a transactional email ---
+// Failures are logged, not thrown: an email outage must not undo the database change.
+const sendEmail = async (toEmail, subject, htmlContent) => {
+    try {
+        await emailTransports[EMAIL_TRANSPORT]({ to: toEmail, subject, htmlContent });
+        console.log(`Email sent (${EMAIL_TRANSPORT}) to ${toEmail}: ${subject}`);
+        return true;
+    } catch (emailError) {
+        console.error(`Email notification FAILED (${EMAIL_TRANSPORT}):`, emailError);
+        return false;
+    }
+};
 
-            if (isMatch) {
-                return res.json({ 
-                    success: true, 
-                    user: { name: user.name, employerId: user.employerId }
-                });
-            }
-        } 
-        
-        return res.status(401).json({ success: false, message: 'Invalid username or password.' });
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ success: false, message: 'Server error during login.' });
-    }
-});
+// Absolute link to a page of the app, for emails. Only call it when APP_URL is set.
+const appLink = (page) => `${APP_URL}/${page}`;
 
-// API 2: Registration (SECURED with HASHING)
-app.post('/api/register', async (req, res) => {
-    const { name, employerId, jobTitle, contactNumber, email, username, password } = req.body; 
-    if (!name || !employerId || !jobTitle || !contactNumber || !email || !username || !password) {
-        return res.status(400).json({ success: false, message: 'All fields are required.' });
-    }
-    try {
-        const existingUser = await User.findOne({ $or: [{ username }, { employerId }] });
-        if (existingUser) {
-            return res.status(409).json({ success: false, message: 'Username or Employer ID already exists.' });
-        }
+const APP_URL_MISSING = 'Emails with links are not set up on this server (APP_URL is missing). Please contact the administrator.';
 
-        // 1. HASH THE PASSWORD BEFORE SAVING
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
-        
-        const newUser = new User({ 
-            name, employerId, jobTitle, contactNumber, email, username, 
-            password: hashedPassword 
-        });
-        await newUser.save();
-        res.json({ success: true, message: 'Registration successful! You can now log in.' });
-    } catch (error) {
-        console.error('Server error during registration:', error);
-        res.status(500).json({ success: false, message: 'Server error during registration.' });
-    }
-});
+// Employee-supplied text is escaped before it goes into an HTML email
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, c => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
 
-// API 3: Attendance Logging (Uploads to Cloudinary)
-app.post('/api/attendance/mark', upload.single('photo'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ success: false, message: 'No photo file was uploaded.' });
-    }
-    const { employerId, loggerName } = req.body;
-    
-    try {
-        const now = new Date();
-        const timeZone = 'Asia/Dubai'; 
-        const dateOptions = { timeZone: timeZone, year: 'numeric', month: '2-digit', day: '2-digit' };
-        const timeOptions = { timeZone: timeZone, hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: true };
-        const formattedDate = now.toLocaleDateString('en-US', dateOptions);
-        const formattedTime = now.toLocaleTimeString('en-US', timeOptions);
-        const fileName = `${employerId}_${Date.now()}`;
-        
-        const uploadResult = await uploadStream(req.file.buffer, {
-            folder: 'eppi_attendance', 
-            public_id: fileName,       
-            resource_type: 'image',
-            overwrite: true            
-        });
-        
-        const photoUrl = uploadResult.secure_url; 
+// --- Session Helpers ---
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
-        const newRecord = new Attendance({
-            employerId: employerId,
-            loggerName: loggerName,
-            timestamp: now, 
-            date: formattedDate, 
-            time: formattedTime, 
-            photoPath: uploadResult.public_id, 
-            photoUrl: photoUrl 
-        });
+const sessionCookieOptions = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    signed: true
+};
 
-        await newRecord.save();
-        res.json({ 
-            success: true, 
-            message: 'Attendance recorded and photo saved to Cloudinary!',
-            record: {
-                photoUrl: photoUrl,
-                date: formattedDate, 
-                time: formattedTime 
-            }
-        });
-    } catch (error) {
-        console.error('Attendance and Cloudinary upload error:', error);
-        res.status(500).json({ success: false, message: 'Server error saving attendance record or photo.' });
-    }
+const createSession = async (res, user) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+    await Session.create({ tokenHash: hashToken(token), employerId: user.employerId, expiresAt });
+    res.cookie(SESSION_COOKIE, token, { ...sessionCookieOptions, expires: expiresAt });
+};
+
+// Routes still open to a user who has to change their password first
+const PASSWORD_CHANGE_PATHS = ['/api/me', '/api/me/password', '/api/logout'];
+// Routes still open to a user whose role requires two-factor authentication before enrolling
+const TWO_FACTOR_SETUP_PATHS = ['/api/me', '/api/me/password', '/api/logout', '/api/me/2fa', '/api/me/2fa/setup', '/api/me/2fa/enable'];
+
+const hashPassword = async (password) => bcrypt.hash(password, await bcrypt.genSalt(10));
+// Generated temporary passwords are long, random and only last until the first login, so a
+// lighter cost is enough. It keeps a bulk import from holding the server for minutes.
+const TEMPORARY_PASSWORD_ROUNDS = 6;
+const hashTemporaryPassword = async (password) => bcrypt.hash(password, await bcrypt.genSalt(TEMPORARY_PASSWORD_ROUNDS));
+
+// Returns an error message, or null when the password meets the policy. `account` (name,
+// username, employerId) rules out passwords built from the person's own details.
+const validatePassword = (password, account = {}) => {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long.`;
+    }
+    const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(pattern => pattern.test(password)).length;
+    if (classes < PASSWORD_MIN_CHARACTER_CLASSES) {
+        return `Password must mix at least ${PASSWORD_MIN_CHARACTER_CLASSES} of: lowercase letters, uppercase letters, digits and symbols.`;
+    }
+    // 'Welcome@2025' is as weak as 'welcome', so digits and symbols around a common word do not help
+    const lower = password.toLowerCase();
+    if (COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(lower.replace(/^[^a-z]+|[^a-z]+$/g, ''))) {
+        return 'This password is too common. Please choose a less predictable one.';
+    }
+    const personal = [account.username, account.employerId, ...String(account.name || '').split(/\s+/)]
+        .filter(part => part && part.length >= 3);
+    if (personal.some(part => lower.includes(part.toLowerCase()))) {
+        return 'Password must not contain your name, username or employer ID.';
+    }
+    return null;
+};
+
+// The password policy in words, for the pages where passwords are chosen
+const passwordPolicyText = () => `At least ${PASSWORD_MIN_LENGTH} characters, mixing ${PASSWORD_MIN_CHARACTER_CLASSES} of `
+    + 'lowercase letters, uppercase letters, digits and symbols. Common passwords and your own name, username '
+    + 'or employer ID are not accepted.';
+
+// --- Two-Factor Helpers ---
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let output = '';
+    let value = 0;
+    let bits = 0;
+    for (const byte of buffer) {
+        value = ((value << 8) | byte) & 0xffff;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (text) => {
+    const bytes = [];
+    let value = 0;
+    let bits = 0;
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        value = ((value << 5) | BASE32_ALPHABET.indexOf(char)) & 0xffff;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// The 6-digit code of a base32 secret for one 30-second time step (RFC 6238, HMAC-SHA1)
+const totpCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+};
+
+// Returns the time step a code belongs to (one step of clock drift either way is allowed),
+// or null. Steps up to lastStep were used already and are refused, so codes work once.
+const verifyTotp = (secret, code, lastStep) => {
+    if (!secret || !/^\d{6}$/.test(code)) return null;
+    const current = Math.floor(Date.now() / 30000);
+    for (const step of [current, current - 1, current + 1]) {
+        if (lastStep !== undefined && lastStep !== null && step <= lastStep) continue;
+        if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(code))) return step;
+    }
+    return null;
+};
+
+// Backup codes are typed by hand, so they are compared without case, spaces or dashes
+const normalizeBackupCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// New single-use backup codes: the readable codes (shown once) and the hashes to store
+const generateBackupCodes = () => {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const code = Array.from({ length: 10 }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => hashToken(normalizeBackupCode(code))) };
+};
+
+const twoFactorRequiredFor = (user) => TWO_FACTOR_REQUIRED_ROLES.includes(user.role);
+const twoFactorSetupRequired = (user) => twoFactorRequiredFor(user) && !user.twoFactorEnabledAt;
+
+// Checks a code from the authenticator app or a backup code against a user loaded with
+// +twoFactorSecret +twoFactorBackupCodes. A match is used up on the user (not yet saved);
+// returns 'totp', 'backup-code' or null.
+const useSecondFactor = (user, code) => {
+    const digits = String(code || '').replace(/\s+/g, '');
+    const step = verifyTotp(user.twoFactorSecret, digits, user.twoFactorLastStep);
+    if (step !== null) {
+        user.twoFactorLastStep = step;
+        return 'totp';
+    }
+    const index = (user.twoFactorBackupCodes || []).indexOf(hashToken(normalizeBackupCode(code)));
+    if (index >= 0 && normalizeBackupCode(code)) {
+        user.twoFactorBackupCodes.splice(index, 1);
+        return 'backup-code';
+    }
+    return null;
+};
+
+// --- Login Security Helpers ---
+// Failed attempts that count towards a lockout
+const LOCKOUT_REASONS = ['bad-credentials', 'bad-2fa-code'];
+
+const recordLogin = (req, username, user, success, reason) => LoginAudit.create({
+    username,
+    employerId: user ? user.employerId : undefined,
+    success,
+    reason,
+    ip: req.ip,
+    userAgent: String(req.get('user-agent') || '').slice(0, 300)
 });
 
-// API 4: Leave Submission
-app.post('/api/leave/submit', async (req, res) => {
-    const { employerId, loggerName, leaveType, startDate, endDate, reason } = req.body;
-    
-    if (!employerId || !loggerName || !leaveType || !startDate || !endDate || !reason) {
-        return res.status(400).json({ success: false, message: 'All leave form fields are required.' });
+// When `filter` has maxFailures counted failures in the window (after `since`, if given),
+// returns the time the oldest of them ages out and attempts are allowed again; else null
+const loginBlockedUntil = async (filter, maxFailures, since) => {
+    let windowStart = new Date(Date.now() - LOGIN_WINDOW_MINUTES * 60 * 1000);
+    if (since && since > windowStart) windowStart = since;
+    const failures = await LoginAudit.find({ ...filter, reason: { $in: LOCKOUT_REASONS }, at: { $gt: windowStart } }, 'at')
+        .sort({ at: -1 })
+        .limit(maxFailures);
+    if (failures.length < maxFailures) return null;
+    return new Date(failures[failures.length - 1].at.getTime() + LOGIN_WINDOW_MINUTES * 60 * 1000);
+};
+
+// Behind a proxy without TRUST_PROXY, every login seems to come from the proxy and one
+// attacker can use up the per-IP limit for everybody. Said once, on the first forwarded login.
+let untrustedProxyWarned = false;
+const warnIfProxyUntrusted = (req) => {
+    if (untrustedProxyWarned || app.get('trust proxy') || !req.get('x-forwarded-for')) return;
+    untrustedProxyWarned = true;
+    console.warn('Logins arrive with X-Forwarded-For but TRUST_PROXY is not set, so they all share the ' +
+        'proxy\'s per-IP limit. Set TRUST_PROXY to the number of proxies in front of the app.');
+};
+
+// --- Registration Helpers ---
+// Returns an error message, or null when the employer ID has the required format
+const validateEmployerId = (employerId) => {
+    if (typeof employerId !== 'string' || !EMPLOYER_ID_PATTERN.test(employerId)) {
+        return `Employer ID must look like ${EMPLOYER_ID_EXAMPLE}.`;
+    }
+    return null;
+};
+
+const isReservedEmployerId = (employerId) => RESERVED_EMPLOYER_IDS.has(employerId.trim().toUpperCase());
+
+// Returns a message when the employer ID or username is already used by an account, a
+// pending registration or an open invitation (except the one in `ignore`), or null
+const findIdentityConflict = async (employerId, username, ignore = {}) => {
+    const byIdOrName = username ? { $or: [{ employerId }, { username }] } : { employerId };
+    if (await User.exists(byIdOrName)) return 'Username or Employer ID already exists.';
+    if (await Registration.exists({ ...byIdOrName, _id: { $ne: ignore.registrationId } })) {
+        return 'A registration with this Username or Employer ID is already waiting for approval.';
     }
+    if (await Invitation.exists({ employerId, _id: { $ne: ignore.invitationId }, expiresAt: { $gt: new Date() } })) {
+        return 'This Employer ID has been invited already. Please use the link in the invitation email.';
+    }
+    return null;
+};
 
+// Ends every session of a user, except optionally the one making the request
+const endSessions = (employerId, keepSession) => Session.deleteMany(keepSession
+    ? { employerId, _id: { $ne: keepSession._id } }
+    : { employerId });
+
+// Auth Middleware: resolves the logged-in employee from the session cookie.
+// Routes must use req.user and never trust an employerId sent by the browser.
+const requireAuth = async (req, res, next) => {
+    const token = req.signedCookies[SESSION_COOKIE];
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'Please log in to continue.' });
+    }
     try {
-        // 1. Save the new leave request to MongoDB
-        const newLeaveRequest = new Leave({
-            employerId,
-            loggerName,
-            leaveType,
-            startDate: new Date(startDate),
-            endDate: new Date(endDate),
-            reason,
-            status: 'Pending' 
-        });
-        await newLeaveRequest.save();
+        const session = await Session.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+        const user = session && await User.findOne({ employerId: session.employerId });
+        if (!user || user.active === false) {
+            res.clearCookie(SESSION_COOKIE, sessionCookieOptions);
+            return res.status(401).json({ success: false, message: 'Your session has expired. Please log in again.' });
+        }
+        // After an admin password reset the only thing left to do is choose a new password
+        if (user.mustChangePassword && !PASSWORD_CHANGE_PATHS.includes(req.path)) {
+            return res.status(403).json({ success: false, mustChangePassword: true, message: 'Please choose a new password to continue.' });
+        }
+        if (twoFactorSetupRequired(user) && !TWO_FACTOR_SETUP_PATHS.includes(req.path)) {
+            return res.status(403).json({ 
+                success: false, 
+                twoFactorSetupRequired: true, 
+                message: 'Your role requires two-factor authentication. Please set it up to continue.' 
+            });
+        }
+        req.session = session;
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Session lookup error:', error);
+        res.status(500).json({ success: false, message: 'Server error while checking your session.' });
+    }
+};
 
-        // 2. Send email notification via Brevo API
-        let sendSmtpEmail = new Brevo.SendSmtpEmail(); // *** Use the new namespace Brevo.SendSmtpEmail()
-        sendSmtpEmail.subject = `[EPPI HR] NEW PENDING LEAVE REQUEST: ${loggerName} (${employerId})`;
-        sendSmtpEmail.htmlContent = `
-            <p>A new leave request has been submitted and is pending your approval.</p>
-            <p><strong>Employee:</strong> ${loggerName} (${employerId})</p>
-            <p><strong>Leave Type:</strong> ${leaveType}</p>
-            <p><strong>Period:</strong> ${startDate} to ${endDate}</p>
-            <p><strong>Reason:</strong> ${reason}</p>
-            <hr>
-            <p>This request has been logged in the MongoDB 'Leaves' collection with status 'Pending'.</p>
-        `;
-        // Sender MUST be a verified sender in your Brevo account
-        sendSmtpEmail.sender = { name: "EPPI HR System", email: process.env.EMAIL_USER };
-        sendSmtpEmail.to = [{ email: process.env.ADMIN_EMAIL }]; // Recipient
+// --- Audit Helpers ---
+// Records a change to an employee account. changes is { field: { from, to } } (optional).
+const recordAudit = (actor, action, targetId, changes) => AuditLog.create({
+    action,
+    targetId,
+    actorId: actor.employerId,
+    actorName: actor.name,
+    changes: changes && Object.keys(changes).length ? changes : undefined
+});
 
-        // Send the email
-        try {
-            await apiInstance.sendTransacEmail(sendSmtpEmail);
-            console.log('Brevo email notification sent successfully.');
-        } catch (emailError) {
-            console.error("Brevo email notification FAILED:", emailError);
+// The { from, to } pairs for the fields of `updates` that differ from `doc`
+const diffFields = (doc, updates) => Object.fromEntries(Object.entries(updates)
+    .filter(([field, value]) => (doc[field] ?? '') !== (value ?? ''))
+    .map(([field, value]) => [field, { from: doc[field] ?? null, to: value ?? null }]));
+
+// --- Time Zone Helpers ---
+const isValidTimeZone = (zone) => {
+    if (typeof zone !== 'string' || !zone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+const isValidLocale = (locale) => {
+    if (typeof locale !== 'string' || !locale) return false;
+    try {
+        return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+    } catch (error) {
+        return false;
+    }
+};
+if (!isValidTimeZone(TIME_ZONE)) throw new Error(`TIME_ZONE '${TIME_ZONE}' is not a valid IANA time zone (e.g. 'Asia/Dubai').`);
+if (!isValidLocale(LOCALE)) throw new Error(`LOCALE '${LOCALE}' is not a supported locale (e.g. 'en-US').`);
+
+// Display strings for a viewer: the instant as it was in `zone`, written the viewer's way
+const formatDate = (date, zone = TIME_ZONE, locale = LOCALE) => date.toLocaleDateString(locale, { timeZone: zone, year: 'numeric', month: '2-digit', day: '2-digit' });
+const formatTime = (date, zone = TIME_ZONE, locale = LOCALE) => date.toLocaleTimeString(locale, { timeZone: zone, hour: '2-digit', minute: '2-digit', second: '2-digit' });
+// Sortable YYYY-MM-DD day in a time zone
+const dayKeyInZone = (date, zone = TIME_ZONE) => date.toLocaleDateString('en-CA', { timeZone: zone });
+
+const recordZone = (record) => record.timeZone || TIME_ZONE;
+const viewerLocale = (user) => user.locale || LOCALE;
+
+// Work date of a saved punch; older punches stored a display date, so theirs is derived
+const workDateOf = (record) => (DAY_KEY_PATTERN.test(record.date || '') ? record.date : dayKeyInZone(record.timestamp, recordZone(record)));
+
+// Zone of the first named site that has one, else the organisation's. A punch passes
+// the site it was made at, then the employee's own site.
+const timeZoneFor = async (...siteNames) => {
+    const names = siteNames.filter(Boolean);
+    if (names.length) {
+        const sites = await Site.find({ name: { $in: names } }, 'name timeZone');
+        for (const name of names) {
+            const site = sites.find(candidate => candidate.name === name);
+            if (site && site.timeZone) return site.timeZone;
         }
+    }
+    return TIME_ZONE;
+};
 
-        res.json({ success: true, message: 'Leave request submitted successfully! HR has been notified.' });
-    
-    } catch (dbError) {
-        console.error('Server error during leave submission:', dbError);
-        res.status(500).json({ success: false, message: 'Server error during leave submission.' });
+// --- Shift Pairing Helpers ---
+
+// Pairs punches into shifts as they arrive (sorted by timestamp within each
+// employee) and hands every finished shift to onShift. Only shifts still waiting
+// for their OUT are held, so it works on a cursor of any size.
+// A shift belongs to the work date of its IN punch (in the zone it was made in),
+// so night shifts crossing midnight stay in one piece. Legacy punches without a type alternate IN/OUT.
+const createShiftPairer = (onShift) => {
+    const openShifts = {}; // employerId -> shift waiting for its OUT
+
+    const closeShift = (shift, outRecord) => {
+        // A break that was never ended runs until the check-out
+        if (shift.breakStart && outRecord) shift.breakMs += outRecord.timestamp - shift.breakStart;
+        delete shift.breakStart;
+        shift.checkOut = outRecord ? outRecord.timestamp : null;
+        shift.missingCheckOut = !outRecord;
+        shift.workedMs = outRecord ? Math.max(0, shift.checkOut - shift.checkIn - shift.breakMs) : 0;
+        onShift(shift);
+    };
+
+    const push = (record) => {
+        let current = openShifts[record.employerId];
+
+        // Too long since check-in: the previous shift was never closed
+        if (current && record.timestamp - current.checkIn > MAX_SHIFT_HOURS * 60 * 60 * 1000) {
+            closeShift(current, null);
+            delete openShifts[record.employerId];
+            current = null;
+        }
+
+        const type = record.punchType || (current ? 'OUT' : 'IN');
+        const base = {
+            employerId: record.employerId,
+            loggerName: record.loggerName,
+            timeZone: recordZone(record),
+            dayKey: workDateOf(record)
+        };
+
+        if (type === 'IN') {
+            if (current) closeShift(current, null);
+            openShifts[record.employerId] = {
+                ...base, checkIn: record.timestamp, checkOut: null,
+                breakMs: 0, breakStart: null, missingCheckIn: false
+            };
+        } else if (!current) {
+            // An OUT with no open shift is kept so HR can see the missing check-in;
+            // stray break punches have nothing to attach to and are skipped.
+            if (type === 'OUT') {
+                onShift({
+                    ...base, checkIn: null, checkOut: record.timestamp,
+                    breakMs: 0, workedMs: 0, missingCheckIn: true, missingCheckOut: false
+                });
+            }
+        } else if (type === 'BREAK_OUT') {
+            if (!current.breakStart) current.breakStart = record.timestamp;
+        } else if (type === 'BREAK_IN') {
+            if (current.breakStart) {
+                current.breakMs += record.timestamp - current.breakStart;
+                current.breakStart = null;
+            }
+        } else {
+            closeShift(current, record);
+            delete openShifts[record.employerId];
+        }
+    };
+
+    // Closes every shift still open (as missing check-out)
+    const flush = () => {
+        Object.keys(openShifts).forEach(employerId => {
+            closeShift(openShifts[employerId], null);
+            delete openShifts[employerId];
+        });
+    };
+
+    return { push, flush };
+};
+
+const sortShifts = (shifts) => shifts.sort((a, b) => (a.checkIn || a.checkOut) - (b.checkIn || b.checkOut));
+
+// Yields a Mongo cursor's documents and closes the cursor however the loop ends.
+// A plain for await leaves it open when the loop body throws (e.g. an aborted download).
+async function* closingCursor(cursor) {
+    try {
+        yield* cursor;
+    } finally {
+        await cursor.close();
+    }
+}
+
+// Walks the matching punches one employee at a time, calling onEmployee with that
+// employee's shifts. Memory is bounded by one employee's shifts, not the collection.
+const forEachEmployeeShifts = async (attendanceQuery, onEmployee) => {
+    const cursor = Attendance.find({ ...attendanceQuery, ...COUNTED_PUNCHES }).sort({ employerId: 1, timestamp: 1 }).cursor();
+    let shifts = [];
+    let currentId = null;
+    const pairer = createShiftPairer(shift => shifts.push(shift));
+
+    const finishEmployee = async () => {
+        pairer.flush();
+        if (shifts.length) await onEmployee(currentId, sortShifts(shifts));
+        shifts = [];
+    };
+
+    for await (const record of closingCursor(cursor)) {
+        if (record.employerId !== currentId) {
+            await finishEmployee();
+            currentId = record.employerId;
+        }
+        pairer.push(record);
     }
+    await finishEmployee();
+};
+
+// --- Geofence Helpers ---
+const EARTH_RADIUS_METERS = 6371000;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in metres between two { latitude, longitude } points
+const haversineMeters = (a, b) => {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+// Projects a point to metres on a flat plane around an origin. Accurate enough at site scale.
+const toLocalMeters = (point, origin) => ({
+    x: toRadians(point.longitude - origin.longitude) * EARTH_RADIUS_METERS * Math.cos(toRadians(origin.latitude)),
+    y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS_METERS
 });
 
-// API 5: Excel Report Generation (Access Restricted to Admin)
-app.get('/api/attendance/report', async (req, res) => {
-    try {
-        const requesterId = req.query.employerId;
-        const ADMIN_ID = 'EPPI-001'; 
+// Metres from the point to the site boundary; 0 when the point is inside the site
+const distanceOutsideSite = (point, site) => {
+    if (site.shape === 'circle') {
+        return Math.max(0, haversineMeters(point, site.center) - site.radiusMeters);
+    }
 
-        if (!requesterId || requesterId !== ADMIN_ID) {
-            console.warn(`Access Denied for ID: ${requesterId}`);
-            return res.status(403).send('Access Denied: Only the Admin User (EPPI-001) can download this report.');
-        }
+    const vertices = site.polygon.map(([latitude, longitude]) => toLocalMeters({ latitude, longitude }, point));
+    let inside = false;
+    let nearest = Infinity;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+        const a = vertices[i];
+        const b = vertices[j];
+        // Ray casting from the point (which is the origin here)
+        if ((a.y > 0) !== (b.y > 0) && 0 < (b.x - a.x) * (0 - a.y) / (b.y - a.y) + a.x) inside = !inside;
+        // Distance from the origin to segment a-b
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const t = Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / (dx * dx + dy * dy || 1)));
+        nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+    }
+    return inside ? 0 : nearest;
+};
 
-        const records = await Attendance.find({}).sort({ timestamp: 1 }); 
-        const workbook = new ExcelJS.Workbook();
-        const worksheet = workbook.addWorksheet('Attendance Report');
-        
-        worksheet.columns = [
-            { header: 'Date', key: 'date', width: 15 },
-            { header: 'Time', key: 'time', width: 15 },
-            { header: 'Logger Name', key: 'loggerName', width: 25 },
-            { header: 'Employer ID', key: 'employerId', width: 20 },
-            { header: 'Photo URL (Cloudinary)', key: 'photoUrl', width: 60 }
-        ];
-        
-        const excelRecords = records.map(record => ({
-            date: record.date,
-            time: record.time,
-            loggerName: record.loggerName,
-            employerId: record.employerId,
-            photoUrl: record.photoUrl 
-        }));
-        
-        worksheet.addRows(excelRecords);
+// Validates the shape fields of a site from an admin request; returns an error message or null
+const validateSiteShape = ({ shape, center, radiusMeters, polygon }) => {
+    const isCoordinate = (lat, lon) => Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+    if (shape === 'circle') {
+        if (!center || !isCoordinate(center.latitude, center.longitude)) return 'A circle site needs a valid center latitude and longitude.';
+        if (!(radiusMeters > 0)) return 'A circle site needs a radius greater than 0 metres.';
+        return null;
+    }
+    if (shape === 'polygon') {
+        if (!Array.isArray(polygon) || polygon.length < 3) return 'A polygon site needs at least 3 points.';
+        if (!polygon.every(p => Array.isArray(p) && isCoordinate(p[0], p[1]))) return 'Every polygon point must be [latitude, longitude].';
+        return null;
+    }
+    return "Shape must be 'circle' or 'polygon'.";
+};
 
-        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-        res.setHeader('Content-Disposition', 'attachment; filename="attendance_report.xlsx"');
+// Checks a punch location against the active sites. Returns the fields stored on the
+// Attendance record plus `allowed`, which is false only when GEOFENCE_MODE is 'reject'.
+const checkGeofence = async (location) => {
+    if (GEOFENCE_MODE === 'off') return { geofenceStatus: 'unchecked', allowed: true };
+    const sites = await Site.find({ active: true });
+    if (!sites.length) return { geofenceStatus: 'unchecked', allowed: true };
+    if (!location) return { geofenceStatus: 'no-location', allowed: GEOFENCE_MODE !== 'reject' };
 
-        await workbook.xlsx.write(res);
-        res.end();
+    let nearest = null;
+    sites.forEach(site => {
+        const distance = distanceOutsideSite(location, site);
+        if (!nearest || distance < nearest.distance) nearest = { site, distance };
+    });
+    const inside = nearest.distance === 0;
+    return {
+        siteName: nearest.site.name,
+        distanceFromSite: Math.round(nearest.distance),
+        geofenceStatus: inside ? 'inside' : 'outside',
+        allowed: inside || GEOFENCE_MODE !== 'reject'
+    };
+};
 
-    } catch (error) {
-        console.error('Report generation error:', error);
-        res.status(500).send('Failed to generate report.');
+// --- Face Verification Helpers ---
+let faceModelsReady = null;
+
+// Loads the detector, landmark and recognition models once, on first use
+const loadFaceModels = () => {
+    if (!faceModelsReady) {
+        faceModelsReady = (async () => {
+            await faceapi.tf.setBackend('wasm');
+            await faceapi.tf.ready();
+            await faceapi.nets.ssdMobilenetv1.loadFromDisk(FACE_MODEL_PATH);
+            await faceapi.nets.faceLandmark68Net.loadFromDisk(FACE_MODEL_PATH);
+            await faceapi.nets.faceRecognitionNet.loadFromDisk(FACE_MODEL_PATH);
+            console.log('Face verification models loaded.');
+        })().catch(error => {
+            faceModelsReady = null; // let the next request retry
+            throw error;
+        });
+    }
+    return faceModelsReady;
+};
+
+const isJpeg = (buffer) => buffer && buffer.length > 3 && buffer[0] === 0xFF && buffer[1] === 0xD8;
+
+// Both the liveness check and the face match need the punch photo's faces; each
+// uploaded buffer is analysed once
+const descriptorsByBuffer = new WeakMap();
+
+// Finds every face in a JPEG buffer and returns their descriptors
+const detectFaceDescriptors = async (buffer) => {
+    if (descriptorsByBuffer.has(buffer)) return descriptorsByBuffer.get(buffer);
+    await loadFaceModels();
+    const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: false, maxMemoryUsageInMB: 256 });
+    const tensor = faceapi.tf.tensor3d(image.data, [image.height, image.width, 3]);
+    try {
+        const faces = await faceapi.detectAllFaces(tensor).withFaceLandmarks().withFaceDescriptors();
+        const descriptors = faces.map(face => face.descriptor);
+        descriptorsByBuffer.set(buffer, descriptors);
+        return descriptors;
+    } finally {
+        tensor.dispose();
+    }
+};
+
+// Compares a punch photo with the employee's reference face. Never throws: a model
+// failure must not stop people from clocking in, so it comes back as 'unchecked'.
+const verifyFace = async (employerId, buffer) => {
+    if (!FACE_VERIFICATION) return { faceStatus: 'unchecked' };
+    try {
+        const user = await User.findOne({ employerId }).select('+faceDescriptor');
+        if (!user || !user.faceDescriptor || !user.faceDescriptor.length) return { faceStatus: 'not-enrolled' };
+        if (!isJpeg(buffer)) return { faceStatus: 'no-face' };
+
+        const descriptors = await detectFaceDescriptors(buffer);
+        if (!descriptors.length) return { faceStatus: 'no-face' };
+
+        // With several faces in frame, the employee is the best match
+        const reference = Float32Array.from(user.faceDescriptor);
+        const distance = Math.min(...descriptors.map(d => faceapi.euclideanDistance(reference, d)));
+        return {
+            faceStatus: distance <= FACE_MATCH_THRESHOLD ? 'matched' : 'low-confidence',
+            faceMatchScore: Math.round(Math.max(0, 1 - distance) * 100) / 100
+        };
+    } catch (error) {
+        console.error('Face verification error:', error);
+        return { faceStatus: 'unchecked' };
+    }
+};
+
+// Stores a new reference face for a user from a JPEG with exactly one face in it.
+// Returns an error message, or null on success.
+const enrollFace = async (user, file, enrolledBy) => {
+    if (!file || !isJpeg(file.buffer)) return 'Please upload a JPEG photo of the face.';
+    const descriptors = await detectFaceDescriptors(file.buffer);
+    if (descriptors.length !== 1) {
+        return descriptors.length
+            ? 'More than one face is visible. Please take the photo alone.'
+            : 'No face was found. Please face the camera in good light and try again.';
+    }
+
+    const uploadResult = await uploadStream(file.buffer, {
+        folder: 'eppi_reference',
+        public_id: user.employerId,
+        resource_type: 'image',
+        overwrite: true
+    });
+    user.faceDescriptor = Array.from(descriptors[0]);
+    user.referencePhotoUrl = uploadResult.secure_url;
+    user.referencePhotoPath = uploadResult.public_id;
+    user.faceEnrolledAt = new Date();
+    user.faceEnrolledBy = enrolledBy;
+    await user.save();
+    return null;
+};
+
+// --- Liveness Helpers ---
+
+// Random one- or two-step head-turn challenge; two steps always change direction
+const createLivenessSteps = () => {
+    const first = crypto.randomInt(2) ? 'left' : 'right';
+    return crypto.randomInt(2) ? [first] : [first, first === 'left' ? 'right' : 'left'];
+};
+
+// Head yaw from the 68-point landmarks: where the nose tip (30) sits between the jaw
+// ends (0 and 16). 0 is facing the camera. Frames are not mirrored, so when the employee
+// turns to their own left the nose moves to the right of the image and yaw goes up.
+const estimateYaw = (points) => {
+    const jawLeft = points[0];
+    const jawRight = points[16];
+    const width = jawRight.x - jawLeft.x;
+    return width > 0 ? (points[30].x - jawLeft.x) / width - 0.5 : 0;
+};
+
+// Head yaw and descriptor of the face in one frame, or null when there is none
+const detectFaceTurn = async (buffer) => {
+    await loadFaceModels();
+    const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: false, maxMemoryUsageInMB: 64 });
+    const tensor = faceapi.tf.tensor3d(image.data, [image.height, image.width, 3]);
+    try {
+        const face = await faceapi.detectSingleFace(tensor).withFaceLandmarks().withFaceDescriptor();
+        return face ? { yaw: estimateYaw(face.landmarks.positions), descriptor: face.descriptor } : null;
+    } finally {
+        tensor.dispose();
+    }
+};
+
+// Checks the frames against a challenge. Every frame with a face must show a face of
+// the punch photo (photoDescriptors; skipped when the photo has none, which is flagged
+// on its own). The first frame is the baseline; every step must then appear, in order,
+// as a turn of at least LIVENESS_TURN_THRESHOLD.
+const evaluateLiveness = async (steps, frames, photoDescriptors) => {
+    const result = { steps, framesAnalyzed: frames.length, framesWithFace: 0, maxTurn: 0 };
+    const usable = frames.filter(frame => isJpeg(frame.buffer)).slice(0, LIVENESS_MAX_FRAMES);
+    const faces = [];
+    for (const frame of usable) {
+        const face = await detectFaceTurn(frame.buffer);
+        if (face) faces.push(face);
+    }
+    result.framesWithFace = faces.length;
+
+    if (faces.length < steps.length + 1 || faces.length < usable.length / 2) {
+        return { ...result, status: 'failed', reason: 'Face not visible in enough frames' };
+    }
+    const isPhotoFace = (descriptor) => photoDescriptors.some(photoDescriptor =>
+        faceapi.euclideanDistance(photoDescriptor, descriptor) <= LIVENESS_SAME_FACE_THRESHOLD);
+    if (photoDescriptors.length && !faces.every(face => isPhotoFace(face.descriptor))) {
+        return { ...result, status: 'failed', reason: 'The filmed face is not the face in the photo' };
+    }
+
+    const yaws = faces.map(face => face.yaw);
+    const baseline = yaws[0];
+    result.maxTurn = Math.round(Math.max(...yaws.map(yaw => Math.abs(yaw - baseline))) * 100) / 100;
+    let index = 1;
+    for (const step of steps) {
+        const direction = step === 'left' ? 1 : -1;
+        while (index < yaws.length && (yaws[index] - baseline) * direction < LIVENESS_TURN_THRESHOLD) index++;
+        if (index >= yaws.length) {
+            return { ...result, status: 'failed', reason: `No head turn to the ${step} was seen` };
+        }
+        index++;
+    }
+    return { ...result, status: 'passed' };
+};
+
+// Uses up the employee's challenge and checks the frames against it and the punch photo.
+// Never throws; model failures come back as 'unchecked', which the punch route treats like
+// a failure in reject mode so that a broken model cannot switch the check off.
+const verifyLiveness = async (employerId, challengeId, frames, photoBuffer) => {
+    if (LIVENESS_MODE === 'off') return { status: 'unchecked' };
+    try {
+        // Single use: deleting it means a recorded upload cannot be replayed
+        const challenge = challengeId && await LivenessChallenge.findOneAndDelete({
+            challengeId, employerId, expiresAt: { $gt: new Date() }
+        });
+        if (!challenge) return { status: 'failed', reason: 'Liveness challenge missing or expired' };
+        if (!frames.length) return { status: 'failed', steps: challenge.steps, reason: 'No liveness frames were sent' };
+        const photoDescriptors = isJpeg(photoBuffer) ? await detectFaceDescriptors(photoBuffer) : [];
+        return await evaluateLiveness(challenge.steps, frames, photoDescriptors);
+    } catch (error) {
+        console.error('Liveness check error:', error);
+        return { status: 'unchecked', reason: 'Liveness check could not run' };
+    }
+};
+
+// --- Holiday Helpers ---
+const toDayKey = (date) => date.toISOString().slice(0, 10);
+
+// Loads the holidays in [from, to] (either may be missing) and returns a lookup
+// (dayKey, site) -> holiday name for an employee of that site, or undefined
+const loadHolidayCalendar = async (from, to) => {
+    const query = {};
+    if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = from;
+        if (to) query.date.$lte = to;
+    }
+    const byDay = new Map();
+    (await Holiday.find(query)).forEach(holiday => {
+        if (!byDay.has(holiday.date)) byDay.set(holiday.date, []);
+        byDay.get(holiday.date).push(holiday);
+    });
+    return (dayKey, site) => {
+        const holidays = byDay.get(dayKey) || [];
+        const holiday = holidays.find(h => h.site && h.site === site) || holidays.find(h => !h.site);
+        return holiday && holiday.name;
+    };
+};
+
+// "20250101" or "20250101T090000Z" -> "2025-01-01" (the date as written in the file)
+const icsDayKey = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+// Reads the VEVENTs of an iCalendar (.ics) file as [{ date, name }]. All-day events
+// spanning several days give one entry per day (DTEND is exclusive, as in the standard).
+// Recurrence rules are not expanded; calendars exported per year list every date.
+const parseIcsHolidays = (text) => {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const holidays = [];
+    let event = null;
+    for (const line of lines) {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+        } else if (line === 'END:VEVENT') {
+            if (event && event.start && event.name) {
+                const allDayEnd = event.allDay && event.end > event.start ? event.end : nextDayKey(event.start);
+                // Cap runaway events; no public holiday lasts more than a month
+                for (let day = event.start, count = 0; day < allDayEnd && count < 31; day = nextDayKey(day), count++) {
+                    holidays.push({ date: day, name: event.name });
+                }
+            }
+            event = null;
+        } else if (event) {
+            const colon = line.indexOf(':');
+            if (colon < 0) continue;
+            const [property, ...params] = line.slice(0, colon).split(';');
+            const value = line.slice(colon + 1);
+            if (property === 'DTSTART') {
+                event.start = icsDayKey(value);
+                event.allDay = params.includes('VALUE=DATE') || /^\d{8}$/.test(value);
+            } else if (property === 'DTEND') {
+                event.end = icsDayKey(value);
+            } else if (property === 'SUMMARY') {
+                event.name = value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+            }
+        }
+    }
+    return holidays;
+};
+
+// --- Leave Balance Helpers ---
+
+// Counts the leave days between two dates (inclusive), skipping weekends and the
+// public holidays of the employee's site
+const countWorkingDays = async (startDate, endDate, site) => {
+    const holidayOn = await loadHolidayCalendar(toDayKey(startDate), toDayKey(endDate));
+    let days = 0;
+    for (let day = new Date(startDate); day <= endDate; day.setUTCDate(day.getUTCDate() + 1)) {
+        if (!WEEKEND_DAYS.includes(day.getUTCDay()) && !holidayOn(toDayKey(day), site)) days++;
+    }
+    return days;
+};
+
+// Yearly quota for an employee, pro-rated by whole months for the year they joined.
+// Rounded to the nearest half day. Returns null for unlimited leave types.
+const entitlementFor = (user, leaveType, year) => {
+    const policy = LEAVE_POLICY[leaveType];
+    const override = user.leaveEntitlements && user.leaveEntitlements.get(leaveType);
+    const quota = override ?? policy.yearlyQuota;
+    if (quota === null) return null;
+
+    const joinDate = user.joinDate || new Date(0);
+    if (joinDate.getUTCFullYear() > year) return 0;
+    if (policy.proRate && joinDate.getUTCFullYear() === year) {
+        const monthsWorked = 12 - joinDate.getUTCMonth();
+        return Math.round(quota * monthsWorked / 12 * 2) / 2;
+    }
+    return quota;
+};
+
+// Finds (or opens) the balance row for a year. Opening a year carries over
+// the unused part of the previous year, up to the policy limit.
+const getLeaveBalance = async (user, leaveType, year) => {
+    const existing = await LeaveBalance.findOne({ employerId: user.employerId, year, leaveType });
+    if (existing) return existing;
+
+    let carriedOver = 0;
+    const { maxCarryOver } = LEAVE_POLICY[leaveType];
+    if (maxCarryOver > 0) {
+        // No row for last year means no leave was taken or carried into it
+        const previous = await LeaveBalance.findOne({ employerId: user.employerId, year: year - 1, leaveType })
+            || { carriedOver: 0, used: 0 };
+        const unused = entitlementFor(user, leaveType, year - 1) + previous.carriedOver - previous.used;
+        carriedOver = Math.min(maxCarryOver, Math.max(0, unused));
+    }
+
+    // Upsert so two requests opening the same year at once cannot create duplicates
+    return LeaveBalance.findOneAndUpdate(
+        { employerId: user.employerId, year, leaveType },
+        { $setOnInsert: { carriedOver, used: 0 } },
+        { upsert: true, new: true }
+    );
+};
+
+// Balance summary for one leave type. Pending requests are reserved so an
+// employee cannot queue up more leave than they have left; excludeLeaveId leaves
+// one pending request out, to check that request against what is left without it.
+const summarizeLeaveBalance = async (user, leaveType, year, excludeLeaveId = null) => {
+    const entitled = entitlementFor(user, leaveType, year);
+    const balance = await getLeaveBalance(user, leaveType, year);
+    const pendingQuery = {
+        employerId: user.employerId, leaveType, status: 'Pending',
+        startDate: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) }
+    };
+    if (excludeLeaveId) pendingQuery._id = { $ne: excludeLeaveId };
+    const pendingLeaves = await Leave.find(pendingQuery);
+    const pending = pendingLeaves.reduce((sum, leave) => sum + (leave.days || 0), 0);
+    const remaining = entitled === null ? null : entitled + balance.carriedOver - balance.used - pending;
+    return { leaveType, year, entitled, carriedOver: balance.carriedOver, used: balance.used, pending, remaining };
+};
+
+// --- Report Helpers ---
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Milliseconds a time zone is ahead of UTC at the given instant
+const zoneOffsetMs = (date, zone = TIME_ZONE) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: zone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+const nextDayKey = (dayKey) => {
+    const day = new Date(`${dayKey}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + 1);
+    return toDayKey(day);
+};
+
+// The instant a YYYY-MM-DD day starts in a time zone. The offset is taken at the
+// local midnight itself, so days that start or end a daylight-saving change come out right.
+const zonedDayStart = (dayKey, zone = TIME_ZONE) => {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    const utcMidnight = Date.UTC(year, month - 1, day);
+    const guess = utcMidnight - zoneOffsetMs(new Date(utcMidnight), zone);
+    return new Date(utcMidnight - zoneOffsetMs(new Date(guess), zone));
+};
+
+// Turns the report query string into MongoDB filters. Shared by every report format.
+//   from, to     YYYY-MM-DD, inclusive, in the organisation time zone
+//   month        YYYY-MM, shorthand for the whole month when from/to are not given
+//   employerIds  comma-separated list
+//   department   exact department name
+// Returns { error } when the query is invalid.
+const buildReportFilters = async (query) => {
+    let { from, to } = query;
+    const { month, department } = query;
+    if (month && !from && !to) {
+        if (!/^\d{4}-\d{2}$/.test(month)) {
+            return { error: 'Month must be in YYYY-MM format.' };
+        }
+        const [year, monthNumber] = month.split('-').map(Number);
+        from = `${month}-01`;
+        to = toDayKey(new Date(Date.UTC(year, monthNumber, 0)));
+    }
+    if ((from && !DAY_KEY_PATTERN.test(from)) || (to && !DAY_KEY_PATTERN.test(to))) {
+        return { error: 'Dates must be in YYYY-MM-DD format.' };
+    }
+    if (from && to && from > to) {
+        return { error: "The 'from' date must be on or before the 'to' date." };
+    }
+
+    const userQuery = {};
+    const employerIds = (query.employerIds || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (employerIds.length) userQuery.employerId = { $in: employerIds };
+    if (department) userQuery.department = department;
+    const users = await User.find(userQuery, 'employerId name department site');
+    const usersById = new Map(users.map(user => [user.employerId, user]));
+
+    const attendanceQuery = {};
+    const leaveQuery = {};
+    // Only narrow by employee when asked to, so punches of since-removed users still appear
+    let selectedIds = null;
+    if (employerIds.length || department) {
+        selectedIds = department ? [...usersById.keys()] : employerIds;
+        attendanceQuery.employerId = { $in: selectedIds };
+        leaveQuery.employerId = { $in: selectedIds };
+    }
+
+    const rangeStart = from ? zonedDayStart(from) : null;
+    const rangeEnd = to ? zonedDayStart(nextDayKey(to)) : null;
+    if (rangeStart || rangeEnd) {
+        attendanceQuery.timestamp = {};
+        if (rangeStart) attendanceQuery.timestamp.$gte = rangeStart;
+        if (rangeEnd) attendanceQuery.timestamp.$lt = rangeEnd;
+    }
+    // Leave overlapping the range (leave dates are stored as UTC midnight of the chosen day)
+    if (from) leaveQuery.endDate = { $gte: new Date(`${from}T00:00:00Z`) };
+    if (to) leaveQuery.startDate = { $lte: new Date(`${to}T00:00:00Z`) };
+
+    const label = [from || 'start', to || 'today'].join('_to_');
+    const departmentOf = (employerId) => (usersById.get(employerId) || {}).department || '';
+    return { attendanceQuery, leaveQuery, usersById, departmentOf, label, from, to, selectedIds };
+};
+
+// Rolls shifts up into one row per employee per day
+const summarizeDays = (shifts) => {
+    const days = new Map();
+    shifts.forEach(shift => {
+        const key = `${shift.employerId}|${shift.dayKey}`;
+        if (!days.has(key)) {
+            days.set(key, {
+                dayKey: shift.dayKey, employerId: shift.employerId, loggerName: shift.loggerName, timeZone: shift.timeZone,
+                firstIn: null, lastOut: null, shiftCount: 0, workedMs: 0, incomplete: 0
+            });
+        }
+        const day = days.get(key);
+        if (shift.checkIn && (!day.firstIn || shift.checkIn < day.firstIn)) day.firstIn = shift.checkIn;
+        if (shift.checkOut && (!day.lastOut || shift.checkOut > day.lastOut)) day.lastOut = shift.checkOut;
+        day.shiftCount++;
+        day.workedMs += shift.workedMs;
+        if (shift.missingCheckIn || shift.missingCheckOut) day.incomplete++;
+    });
+    return [...days.values()].sort((a, b) => a.dayKey.localeCompare(b.dayKey) || a.employerId.localeCompare(b.employerId));
+};
+
+// Rolls daily rows up into one row per employee per calendar month
+const summarizeMonths = (days) => {
+    const months = new Map();
+    days.forEach(day => {
+        const month = day.dayKey.slice(0, 7);
+        const key = `${day.employerId}|${month}`;
+        if (!months.has(key)) {
+            months.set(key, { month, employerId: day.employerId, loggerName: day.loggerName, daysWorked: 0, workedMs: 0, incomplete: 0 });
+        }
+        const total = months.get(key);
+        if (day.workedMs > 0) total.daysWorked++;
+        total.workedMs += day.workedMs;
+        total.incomplete += day.incomplete;
+    });
+    return [...months.values()].sort((a, b) => a.month.localeCompare(b.month) || a.employerId.localeCompare(b.employerId));
+};
+
+const toHours = (ms) => Number((ms / 3600000).toFixed(2));
+
+// Adds a worksheet with a bold, frozen header row
+const addReportSheet = (workbook, name, columns) => {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns;
+    sheet.getRow(1).font = { bold: true };
+    return sheet;
+};
+
+// Quotes a CSV value when it contains a delimiter, quote or line break
+const csvCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const csvLine = (values) => values.map(csvCell).join(',') + '\r\n';
+
+// --- Shift Schedule Helpers ---
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Punches up to this long before a shift starts (or after it ends, for a lone
+// check-out) still count toward it
+const SHIFT_MATCH_MARGIN_HOURS = 4;
+
+const minutesOfDay = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+const weekdayOf = (dayKey) => new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+const daysBetween = (fromKey, toKey) => Math.round((Date.parse(toKey) - Date.parse(fromKey)) / 86400000);
+
+// Returns an error message, or null when the shift fields are valid
+const validateShift = ({ name, startTime, endTime, graceMinutes, breakMinutes, days }) => {
+    if (!name) return 'Shift name is required.';
+    if (!TIME_OF_DAY_PATTERN.test(startTime || '') || !TIME_OF_DAY_PATTERN.test(endTime || '')) {
+        return 'Start and end times must be in HH:MM (24-hour) format.';
+    }
+    if (graceMinutes !== undefined && !(Number.isInteger(graceMinutes) && graceMinutes >= 0 && graceMinutes <= 120)) {
+        return 'Grace period must be between 0 and 120 minutes.';
+    }
+    if (breakMinutes !== undefined && !(Number.isInteger(breakMinutes) && breakMinutes >= 0 && breakMinutes <= 240)) {
+        return 'Break must be between 0 and 240 minutes.';
+    }
+    if (days !== undefined && !(Array.isArray(days) && days.length && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+        return 'Pick at least one day of the week.';
+    }
+    return null;
+};
+
+// Scheduled start and end of a shift on a day in the employee's zone; overnight shifts end the next day
+const shiftWindow = (shift, dayKey, timeZone = TIME_ZONE) => {
+    const dayStart = zonedDayStart(dayKey, timeZone).getTime();
+    const startMinutes = minutesOfDay(shift.startTime);
+    let endMinutes = minutesOfDay(shift.endTime);
+    if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+    return { start: new Date(dayStart + startMinutes * 60000), end: new Date(dayStart + endMinutes * 60000) };
+};
+
+// Compares the worked shifts (from createShiftPairer) with the shift scheduled on a day.
+// status is one of: on-time, late, early-leave, incomplete, absent, on-leave, holiday,
+// in-progress, scheduled; label is the human-readable version with minutes.
+const evaluateShiftDay = (shift, dayKey, workedShifts, { holiday, onLeave, timeZone = TIME_ZONE } = {}, now = new Date()) => {
+    const { start, end } = shiftWindow(shift, dayKey, timeZone);
+    const marginMs = SHIFT_MATCH_MARGIN_HOURS * 60 * 60 * 1000;
+    const graceMs = shift.graceMinutes * 60000;
+    const matched = workedShifts.filter(worked => (worked.checkIn
+        ? worked.checkIn >= start - marginMs && worked.checkIn < end
+        : worked.checkOut >= start && worked.checkOut < end.getTime() + marginMs));
+    const result = {
+        dayKey,
+        timeZone,
+        shiftName: shift.name,
+        scheduledStart: start,
+        scheduledEnd: end,
+        scheduledMs: Math.max(0, end - start - shift.breakMinutes * 60000),
+        firstIn: null,
+        lastOut: null,
+        workedMs: 0,
+        lateMinutes: 0,
+        earlyLeaveMinutes: 0,
+        breakOverMinutes: 0
+    };
+
+    if (!matched.length) {
+        if (holiday) return { ...result, status: 'holiday', label: `Holiday: ${holiday}` };
+        if (onLeave) return { ...result, status: 'on-leave', label: `On leave (${onLeave})` };
+        if (now < start.getTime() + graceMs) return { ...result, status: 'scheduled', label: 'Scheduled' };
+        if (now < end) return { ...result, status: 'late', label: 'Not checked in yet' };
+        return { ...result, status: 'absent', label: 'Absent' };
+    }
+
+    let breakMs = 0;
+    matched.forEach(worked => {
+        if (worked.checkIn && (!result.firstIn || worked.checkIn < result.firstIn)) result.firstIn = worked.checkIn;
+        if (worked.checkOut && (!result.lastOut || worked.checkOut > result.lastOut)) result.lastOut = worked.checkOut;
+        result.workedMs += worked.workedMs;
+        breakMs += worked.breakMs;
+    });
+    const last = matched[matched.length - 1];
+
+    const issues = [];
+    let status = 'on-time';
+    if (!result.firstIn) {
+        issues.push('Missing check-in');
+        status = 'incomplete';
+    } else if (result.firstIn > start.getTime() + graceMs) {
+        result.lateMinutes = Math.round((result.firstIn - start) / 60000);
+        issues.push(`Late by ${result.lateMinutes} min`);
+        status = 'late';
+    }
+    if (last.missingCheckOut) {
+        if (now < end.getTime() + marginMs) {
+            return { ...result, status: issues.length ? status : 'in-progress', label: [...issues, 'On shift'].join(', ') };
+        }
+        issues.push('Missing check-out');
+        status = 'incomplete';
+    } else if (result.lastOut < end.getTime() - graceMs) {
+        result.earlyLeaveMinutes = Math.round((end - result.lastOut) / 60000);
+        issues.push(`Left ${result.earlyLeaveMinutes} min early`);
+        if (status === 'on-time') status = 'early-leave';
+    }
+    if (breakMs > (shift.breakMinutes + shift.graceMinutes) * 60000) {
+        result.breakOverMinutes = Math.round(breakMs / 60000) - shift.breakMinutes;
+        issues.push(`Break over by ${result.breakOverMinutes} min`);
+    }
+    return { ...result, status, label: issues.length ? issues.join(', ') : 'On time' };
+};
+
+// Loads what is needed to evaluate schedules over [from, to]: the assignments (of the
+// given employees, or everyone when employerIds is null), their shifts, the holidays
+// and time zone of each employee's site and approved leave.
+const loadScheduleContext = async (employerIds, from, to) => {
+    const assignmentQuery = {
+        startDate: { $lte: to },
+        $or: [{ endDate: { $exists: false } }, { endDate: null }, { endDate: { $gte: from } }]
+    };
+    if (employerIds) assignmentQuery.employerId = { $in: employerIds };
+    const assignments = await ShiftAssignment.find(assignmentQuery).sort({ startDate: 1, assignedAt: 1 });
+
+    const assignmentsByEmployee = new Map();
+    assignments.forEach(assignment => {
+        if (!assignmentsByEmployee.has(assignment.employerId)) assignmentsByEmployee.set(assignment.employerId, []);
+        assignmentsByEmployee.get(assignment.employerId).push(assignment);
+    });
+    const shiftIds = [...new Set(assignments.flatMap(assignment => assignment.shiftIds.map(String)))];
+    const shifts = await Shift.find({ _id: { $in: shiftIds } });
+    const shiftsById = new Map(shifts.map(shift => [String(shift._id), shift]));
+
+    const employees = await User.find({ employerId: { $in: [...assignmentsByEmployee.keys()] } }, 'employerId site');
+    const siteByEmployee = new Map(employees.map(user => [user.employerId, user.site]));
+    const sites = await Site.find({}, 'name timeZone');
+    const zoneBySite = new Map(sites.filter(site => site.timeZone).map(site => [site.name, site.timeZone]));
+    const holidayCalendar = await loadHolidayCalendar(from, to);
+
+    const leaves = await Leave.find({
+        employerId: { $in: [...assignmentsByEmployee.keys()] },
+        status: 'Approved',
+        startDate: { $lte: new Date(`${to}T00:00:00Z`) },
+        endDate: { $gte: new Date(`${from}T00:00:00Z`) }
+    });
+
+    return {
+        employerIds: [...assignmentsByEmployee.keys()].sort(),
+        // The shift an employee is scheduled for on a day, or null for a day off
+        shiftOn: (employerId, dayKey) => {
+            const current = (assignmentsByEmployee.get(employerId) || [])
+                .filter(assignment => assignment.startDate <= dayKey && (!assignment.endDate || assignment.endDate >= dayKey))
+                .pop();
+            if (!current || !current.shiftIds.length) return null;
+            const index = Math.floor(daysBetween(current.startDate, dayKey) / (current.rotationDays || 1)) % current.shiftIds.length;
+            const shift = shiftsById.get(String(current.shiftIds[index]));
+            return shift && shift.days.includes(weekdayOf(dayKey)) ? shift : null;
+        },
+        holidayOn: (employerId, dayKey) => holidayCalendar(dayKey, siteByEmployee.get(employerId)),
+        zoneOf: (employerId) => zoneBySite.get(siteByEmployee.get(employerId)) || TIME_ZONE,
+        leaveOn: (employerId, dayKey) => {
+            const leave = leaves.find(leave => leave.employerId === employerId
+                && toDayKey(leave.startDate) <= dayKey && toDayKey(leave.endDate) >= dayKey);
+            return leave && leave.leaveType;
+        }
+    };
+};
+
+// Status of every scheduled day of one employee in [from, to]
+const evaluateEmployeeSchedule = async (context, employerId, from, to, now = new Date()) => {
+    // Punches from a shift length either side, so night shifts at the edges pair up
+    const marginMs = MAX_SHIFT_HOURS * 60 * 60 * 1000;
+    const timeZone = context.zoneOf(employerId);
+    const records = await Attendance.find({
+        employerId,
+        timestamp: { 
+            $gte: new Date(zonedDayStart(from, timeZone) - marginMs), 
+            $lt: new Date(zonedDayStart(nextDayKey(to), timeZone).getTime() + marginMs) 
+        },
+        ...COUNTED_PUNCHES
+    }).sort({ timestamp: 1 });
+    const worked = [];
+    const pairer = createShiftPairer(shift => worked.push(shift));
+    records.forEach(record => pairer.push(record));
+    pairer.flush();
+
+    const days = [];
+    for (let dayKey = from; dayKey <= to; dayKey = nextDayKey(dayKey)) {
+        const shift = context.shiftOn(employerId, dayKey);
+        if (!shift) continue;
+        days.push({
+            ...evaluateShiftDay(shift, dayKey, worked, {
+                holiday: context.holidayOn(employerId, dayKey),
+                onLeave: context.leaveOn(employerId, dayKey),
+                timeZone
+            }, now),
+            employerId
+        });
+    }
+    return days;
+};
+
+// --- Overtime Helpers ---
+const PAY_PERIODS = ['weekly', 'biweekly', 'monthly'];
+
+// The saved overtime rules, or the defaults when an admin has not set any yet
+const getOvertimePolicy = async () => (await OvertimePolicy.findOne({ key: 'default' })) || new OvertimePolicy();
+
+// Returns an error message, or null when the overtime rules are valid
+const validateOvertimePolicy = (policy) => {
+    const nonNegative = ['dailyThresholdHours', 'weeklyThresholdHours', 'nightPremium'];
+    if (nonNegative.some(field => !(Number.isFinite(policy[field]) && policy[field] >= 0))) {
+        return 'Thresholds and the night premium must be zero or more.';
+    }
+    if (policy.dailyThresholdHours > 24 || policy.weeklyThresholdHours > 168) {
+        return 'Thresholds cannot exceed the hours in a day or week.';
+    }
+    const multipliers = ['overtimeMultiplier', 'weekendMultiplier', 'holidayMultiplier'];
+    if (multipliers.some(field => !(Number.isFinite(policy[field]) && policy[field] >= 1 && policy[field] <= 5))) {
+        return 'Rate multipliers must be between 1 and 5.';
+    }
+    if (!TIME_OF_DAY_PATTERN.test(policy.nightStart || '') || !TIME_OF_DAY_PATTERN.test(policy.nightEnd || '')) {
+        return 'Night hours must be in HH:MM (24-hour) format.';
+    }
+    if (!(Number.isInteger(policy.weekStartsOn) && policy.weekStartsOn >= 0 && policy.weekStartsOn <= 6)) {
+        return 'The week must start on a day from 0 (Sunday) to 6 (Saturday).';
+    }
+    if (!PAY_PERIODS.includes(policy.payPeriod)) {
+        return `Pay period must be one of: ${PAY_PERIODS.join(', ')}.`;
+    }
+    if (policy.payPeriod !== 'monthly' && !DAY_KEY_PATTERN.test(policy.payPeriodAnchor || '')) {
+        return 'Weekly pay periods need a start date in YYYY-MM-DD format.';
+    }
+    return null;
+};
+
+const addDays = (dayKey, count) => {
+    const day = new Date(`${dayKey}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + count);
+    return toDayKey(day);
+};
+
+// First day of the week (per weekStartsOn) that contains dayKey
+const weekStartOf = (dayKey, weekStartsOn) => addDays(dayKey, -((weekdayOf(dayKey) - weekStartsOn + 7) % 7));
+
+// Pay period containing dayKey, as { key, start, end } day keys
+const payPeriodOf = (dayKey, policy) => {
+    if (policy.payPeriod === 'monthly') {
+        const [year, month] = dayKey.split('-').map(Number);
+        const end = toDayKey(new Date(Date.UTC(year, month, 0)));
+        return { key: dayKey.slice(0, 7), start: `${dayKey.slice(0, 7)}-01`, end };
+    }
+    const length = policy.payPeriod === 'weekly' ? 7 : 14;
+    const offset = ((daysBetween(policy.payPeriodAnchor, dayKey) % length) + length) % length;
+    const start = addDays(dayKey, -offset);
+    const end = addDays(start, length - 1);
+    return { key: `${start}_to_${end}`, start, end };
+};
+
+// Worked time of a shift that falls in the night window (local time where it was worked),
+// scaled down by the share of the shift spent on break (breaks are not timed precisely enough to place them)
+const nightWorkedMs = (shift, policy) => {
+    const timeZone = shift.timeZone || TIME_ZONE;
+    const span = shift.checkOut - shift.checkIn;
+    if (!(span > 0)) return 0;
+    const startMinutes = minutesOfDay(policy.nightStart);
+    let endMinutes = minutesOfDay(policy.nightEnd);
+    if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+    let overlap = 0;
+    // A night window that started the evening before can still cover the check-in
+    for (let dayKey = addDays(dayKeyInZone(shift.checkIn, timeZone), -1); dayKey <= dayKeyInZone(shift.checkOut, timeZone); dayKey = nextDayKey(dayKey)) {
+        const dayStart = zonedDayStart(dayKey, timeZone).getTime();
+        const windowStart = Math.max(dayStart + startMinutes * 60000, shift.checkIn.getTime());
+        const windowEnd = Math.min(dayStart + endMinutes * 60000, shift.checkOut.getTime());
+        if (windowEnd > windowStart) overlap += windowEnd - windowStart;
+    }
+    return Math.round(overlap * shift.workedMs / span);
+};
+
+// Splits one employee's worked shifts (sorted, from createShiftPairer) into pay bands
+// per pay period. Each shift counts on the day it started. Holiday and weekend work is
+// overtime at its own rate; on working days hours beyond the daily threshold, then
+// regular hours beyond the weekly threshold, are overtime. Night hours earn a premium
+// on top of whichever band they fall in. Shifts on days outside inRange only use up
+// the thresholds, so a week cut by the report range is still judged as a whole.
+const computeOvertime = (shifts, policy, isHoliday, inRange = () => true) => {
+    const periods = new Map();
+    const dailyRegular = new Map();
+    const weeklyRegular = new Map();
+    const dailyLimit = policy.dailyThresholdHours > 0 ? policy.dailyThresholdHours * 3600000 : Infinity;
+    const weeklyLimit = policy.weeklyThresholdHours > 0 ? policy.weeklyThresholdHours * 3600000 : Infinity;
+
+    shifts.forEach(shift => {
+        if (!shift.checkIn || !shift.checkOut || !shift.workedMs) return;
+        const dayKey = shift.dayKey;
+        const bands = { regularMs: 0, overtimeMs: 0, weekendMs: 0, holidayMs: 0 };
+        if (isHoliday(dayKey)) {
+            bands.holidayMs = shift.workedMs;
+        } else if (WEEKEND_DAYS.includes(weekdayOf(dayKey))) {
+            bands.weekendMs = shift.workedMs;
+        } else {
+            const dayUsed = dailyRegular.get(dayKey) || 0;
+            let regular = Math.min(shift.workedMs, Math.max(0, dailyLimit - dayUsed));
+            const dailyOvertime = shift.workedMs - regular;
+            dailyRegular.set(dayKey, dayUsed + regular);
+
+            const week = weekStartOf(dayKey, policy.weekStartsOn);
+            const weekUsed = weeklyRegular.get(week) || 0;
+            const weeklyOvertime = Math.min(regular, Math.max(0, weekUsed + regular - weeklyLimit));
+            regular -= weeklyOvertime;
+            weeklyRegular.set(week, weekUsed + regular);
+
+            bands.regularMs = regular;
+            bands.overtimeMs = dailyOvertime + weeklyOvertime;
+        }
+        if (!inRange(dayKey)) return;
+
+        const period = payPeriodOf(dayKey, policy);
+        if (!periods.has(period.key)) {
+            periods.set(period.key, {
+                period: period.key, periodStart: period.start, periodEnd: period.end,
+                employerId: shift.employerId, loggerName: shift.loggerName,
+                regularMs: 0, overtimeMs: 0, weekendMs: 0, holidayMs: 0, nightMs: 0
+            });
+        }
+        const totals = periods.get(period.key);
+        totals.nightMs += nightWorkedMs(shift, policy);
+        Object.keys(bands).forEach(band => { totals[band] += bands[band]; });
+    });
+
+    return [...periods.values()].map(totals => ({
+        ...totals,
+        totalMs: totals.regularMs + totals.overtimeMs + totals.weekendMs + totals.holidayMs,
+        // Hours at the base rate that the period is worth, for payroll cross-checks
+        paidMs: totals.regularMs
+            + totals.overtimeMs * policy.overtimeMultiplier
+            + totals.weekendMs * policy.weekendMultiplier
+            + totals.holidayMs * policy.holidayMultiplier
+            + totals.nightMs * policy.nightPremium
+    }));
+};
+
+// Permission Middleware: must run after requireAuth
+const requirePermission = (permission) => (req, res, next) => {
+    if (!PERMISSIONS[permission].includes(req.user.role)) {
+        console.warn(`Access Denied: ${req.user.employerId} (${req.user.role}) lacks '${permission}'`);
+        return res.status(403).json({ success: false, message: 'Access Denied: You do not have permission to do this.' });
+    }
+    next();
+};
+
+// Promotes INITIAL_ADMIN_ID to admin when no admin exists yet, so a fresh
+// deployment (or one upgraded from the old hardcoded admin) is not locked out.
+const ensureInitialAdmin = async () => {
+    const initialAdminId = process.env.INITIAL_ADMIN_ID;
+    if (await User.exists({ role: 'admin' })) return;
+    if (!initialAdminId) {
+        console.warn('No admin user exists. Set INITIAL_ADMIN_ID to promote an employee to admin on startup.');
+        return;
+    }
+    const result = await User.updateOne({ employerId: initialAdminId }, { role: 'admin' });
+    if (result.matchedCount) console.log(`Promoted ${initialAdminId} to admin.`);
+    else console.warn(`INITIAL_ADMIN_ID ${initialAdminId} does not match any user.`);
+};
+
+// --- API Endpoints ---
+
+// What a successful login answers, and where the login page goes next
+const loginAnswer = (user) => ({ 
+    success: true, 
+    user: { name: user.name, employerId: user.employerId },
+    mustChangePassword: Boolean(user.mustChangePassword),
+    twoFactorSetupRequired: twoFactorSetupRequired(user)
+});
+
+// API 1: Login (SECURED with HASHING, throttled per account and per IP).
+// Every attempt is recorded in LoginAudit.
+app.post('/api/login', async (req, res) => {
+    // Plain strings only, so a JSON object cannot be smuggled into the query
+    const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+    const password = typeof req.body.password === 'string' ? req.body.password : '';
+    if (!username || !password) {
+        return res.status(400).json({ success: false, message: 'Please enter your username and password.' });
+    }
+    warnIfProxyUntrusted(req);
+    try {
+        const user = await User.findOne({ username }); 
+
+        // 1. REFUSE WHILE THE IP OR THE ACCOUNT IS LOCKED OUT
+        // A successful login or a password reset starts the account's count again
+        const lastSuccess = await LoginAudit.findOne({ username, success: true }, 'at').sort({ at: -1 });
+        const countFrom = [lastSuccess && lastSuccess.at, user && user.loginFailuresClearedAt]
+            .filter(Boolean)
+            .sort((a, b) => b - a)[0];
+        const ipBlockedUntil = await loginBlockedUntil({ ip: req.ip }, LOGIN_MAX_FAILURES_PER_IP);
+        const blockedUntil = ipBlockedUntil 
+            || await loginBlockedUntil({ username }, LOGIN_MAX_FAILURES_PER_ACCOUNT, countFrom);
+        if (blockedUntil) {
+            await recordLogin(req, username, user, false, ipBlockedUntil ? 'ip-limited' : 'locked');
+            const minutes = Math.max(1, Math.ceil((blockedUntil - Date.now()) / 60000));
+            res.set('Retry-After', String(minutes * 60));
+            return res.status(429).json({ 
+                success: false, 
+                message: `Too many failed login attempts. Please try again in ${minutes} minute(s) or reset your password.` 
+            });
+        }
+        
+        if (user) {
+            // 2. COMPARE HASHED PASSWORD
+            const isMatch = await bcrypt.compare(password, user.password);
+
+            if (isMatch) {
+                // Checked only after the password, so the message cannot be used to probe accounts
+                if (user.active === false) {
+                    await recordLogin(req, username, user, false, 'deactivated');
+                    return res.status(403).json({ success: false, message: 'This account has been deactivated. Please contact HR.' });
+                }
+                // 3. ASK FOR THE AUTHENTICATOR CODE WHEN TWO-FACTOR IS ON (see API 1a)
+                if (user.twoFactorEnabledAt) {
+                    const challenge = crypto.randomBytes(32).toString('hex');
+                    await TwoFactorChallenge.create({ 
+                        tokenHash: hashToken(challenge), 
+                        employerId: user.employerId, 
+                        username,
+                        expiresAt: new Date(Date.now() + TWO_FACTOR_CHALLENGE_MINUTES * 60 * 1000) 
+                    });
+                    return res.json({ 
+                        success: true, 
+                        twoFactorRequired: true, 
+                        challenge,
+                        message: 'Enter the 6-digit code from your authenticator app, or one of your backup codes.' 
+                    });
+                }
+                // 4. ISSUE A SESSION COOKIE
+                await createSession(res, user);
+                await recordLogin(req, username, user, true);
+                return res.json(loginAnswer(user));
+            }
+        } else {
+            // Only someone who knows the password learns that the registration is still pending
+            const registration = await Registration.findOne({ username });
+            if (registration && await bcrypt.compare(password, registration.password)) {
+                await recordLogin(req, username, null, false, 'pending');
+                return res.status(403).json({ success: false, message: 'Your registration is waiting for HR approval.' });
+            }
+        }
+        
+        await recordLogin(req, username, user, false, 'bad-credentials');
+        return res.status(401).json({ success: false, message: 'Invalid username or password.' });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ success: false, message: 'Server error during login.' });
+    }
+});
+
+// API 1a: Login, second step - the code from the authenticator app (or a backup code)
+// for the challenge API 1 handed out after the password
+app.post('/api/login/2fa', async (req, res) => {
+    const { challenge: token, code } = req.body;
+    const expired = 'Your login has expired. Please enter your password again.';
+    try {
+        const challenge = await TwoFactorChallenge.findOne({ tokenHash: hashToken(String(token || '')), expiresAt: { $gt: new Date() } });
+        const user = challenge && await User.findOne({ employerId: challenge.employerId }).select('+twoFactorSecret +twoFactorBackupCodes');
+        if (!user || user.active === false || !user.twoFactorEnabledAt) {
+            return res.status(401).json({ success: false, loginExpired: true, message: expired });
+        }
+
+        const method = useSecondFactor(user, code);
+        if (!method) {
+            await recordLogin(req, challenge.username, user, false, 'bad-2fa-code');
+            challenge.attempts += 1;
+            if (challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+                await TwoFactorChallenge.deleteOne({ _id: challenge._id });
+                return res.status(401).json({ success: false, loginExpired: true, message: `That code is not valid. ${expired}` });
+            }
+            await challenge.save();
+            return res.status(401).json({ success: false, message: 'That code is not valid. Please try again.' });
+        }
+
+        await user.save();
+        await TwoFactorChallenge.deleteOne({ _id: challenge._id });
+        await createSession(res, user);
+        await recordLogin(req, challenge.username, user, true, method === 'backup-code' ? 'backup-code' : undefined);
+        res.json({ ...loginAnswer(user), backupCodesLeft: user.twoFactorBackupCodes.length });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ success: false, message: 'Server error during login.' });
+    }
+});
+
+// API 1b: Logout (ends the current session)
+app.post('/api/logout', requireAuth, async (req, res) => {
+    try {
+        await Session.deleteOne({ _id: req.session._id });
+        res.clearCookie(SESSION_COOKIE, sessionCookieOptions);
+        res.json({ success: true, message: 'Logged out.' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ success: false, message: 'Server error during logout.' });
+    }
+});
+
+// API 1c: Current User (used by the dashboard on load)
+app.get('/api/me', requireAuth, async (req, res) => {
+    try {
+        // The newest successful login is normally this session's own, so the one before it is shown
+        const [, previousLogin] = await LoginAudit.find({ employerId: req.user.employerId, success: true }, 'at ip')
+            .sort({ at: -1 })
+            .limit(2);
+        const failedSince = previousLogin ? await LoginAudit.countDocuments({ 
+            employerId: req.user.employerId, 
+            reason: { $in: LOCKOUT_REASONS }, 
+            at: { $gt: previousLogin.at } 
+        }) : 0;
+        res.json({ 
+            success: true, 
+            user: { 
+                name: req.user.name, 
+                employerId: req.user.employerId,
+                role: req.user.role,
+                permissions: permissionsFor(req.user.role),
+                faceEnrolled: Boolean(req.user.faceEnrolledAt),
+                mustChangePassword: Boolean(req.user.mustChangePassword),
+                site: req.user.site || null,
+                timeZone: await timeZoneFor(req.user.site),
+                locale: viewerLocale(req.user),
+                localeIsDefault: !req.user.locale,
+                defaultLocale: LOCALE,
+                lastLogin: previousLogin ? { at: previousLogin.at, ip: previousLogin.ip, failedSince } : null,
+                twoFactorEnabled: Boolean(req.user.twoFactorEnabledAt),
+                twoFactorSetupRequired: twoFactorSetupRequired(req.user)
+            }
+        });
+    } catch (error) {
+        console.error('Profile error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading your profile.' });
+    }
+});
+
+// API 1d: Display Preferences (the locale dates and times are shown in, on the dashboard and in reports)
+app.put('/api/me/preferences', requireAuth, async (req, res) => {
+    const { locale } = req.body;
+    if (locale && !isValidLocale(locale)) {
+        return res.status(400).json({ success: false, message: `'${locale}' is not a supported locale.` });
+    }
+    try {
+        req.user.locale = locale || undefined;
+        await req.user.save();
+        res.json({ success: true, message: 'Display preferences saved.', locale: viewerLocale(req.user) });
+    } catch (error) {
+        console.error('Preferences error:', error);
+        res.status(500).json({ success: false, message: 'Server error while saving your preferences.' });
+    }
+});
+
+// API 1e: Change Password (also how a user finishes an admin password reset).
+// Every other session of the user is ended.
+app.post('/api/me/password', requireAuth, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const passwordError = validatePassword(newPassword, req.user);
+    if (passwordError) {
+        return res.status(400).json({ success: false, message: passwordError });
+    }
+    try {
+        if (!(await bcrypt.compare(currentPassword || '', req.user.password))) {
+            return res.status(400).json({ success: false, message: 'Your current password is incorrect.' });
+        }
+        if (await bcrypt.compare(newPassword, req.user.password)) {
+            return res.status(400).json({ success: false, message: 'Please choose a password different from the current one.' });
+        }
+        req.user.password = await hashPassword(newPassword);
+        req.user.mustChangePassword = undefined;
+        await req.user.save();
+        await endSessions(req.user.employerId, req.session);
+        await recordAudit(req.user, 'user.password-change', req.user.employerId);
+        res.json({ success: true, message: 'Your password has been changed.' });
+    } catch (error) {
+        console.error('Password change error:', error);
+        res.status(500).json({ success: false, message: 'Server error while changing your password.' });
+    }
+});
+
+// API 1f: Forgot Password - emails a one-time reset link to the account's address.
+// The answer is the same whether or not the account exists, so it cannot be used to
+// find usernames or email addresses.
+app.post('/api/password-reset/request', async (req, res) => {
+    const identifier = String(req.body.identifier || '').trim();
+    if (!identifier) {
+        return res.status(400).json({ success: false, message: 'Please enter your username or email address.' });
+    }
+    if (!APP_URL) {
+        return res.status(503).json({ success: false, message: APP_URL_MISSING });
+    }
+    // Answered before the accounts are even looked up, so the response time says
+    // nothing about whether one exists; the emails go out afterwards
+    res.json({ 
+        success: true, 
+        message: 'If an account matches, a link to reset the password has been sent to its email address.' 
+    });
+
+    try {
+        const email = new RegExp(`^${identifier.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+        const users = await User.find({ $or: [{ username: identifier }, { email }], active: { $ne: false } });
+        for (const user of users) {
+            if (!user.email) continue;
+            // One email a minute per account is enough for a genuine user
+            const recent = await PasswordReset.exists({ employerId: user.employerId, createdAt: { $gt: new Date(Date.now() - 60 * 1000) } });
+            if (recent) continue;
+
+            // A new link replaces any earlier one
+            await PasswordReset.deleteMany({ employerId: user.employerId });
+            const token = crypto.randomBytes(32).toString('hex');
+            await PasswordReset.create({ 
+                tokenHash: hashToken(token), 
+                employerId: user.employerId, 
+                expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000) 
+            });
+            const link = appLink(`reset-password.html?token=${token}`);
+            await sendEmail(user.email, 'Reset your EPPI password', `
+                <p>Hello ${escapeHtml(user.name)},</p>
+                <p>We received a request to reset the password of your EPPI account (${escapeHtml(user.username)}).</p>
+                <p><a href="${escapeHtml(link)}">Choose a new password</a></p>
+                <p>The link works once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.
+                   If you did not ask for this, you can ignore this email; your password stays the same.</p>
+            `);
+        }
+    } catch (error) {
+        console.error('Password reset request error:', error);
+    }
+});
+
+// Matches the unexpired reset record of the token in an emailed link
+const passwordResetQuery = (token) => ({ 
+    tokenHash: hashToken(String(token || '')), 
+    expiresAt: { $gt: new Date() } 
+});
+
+// API 1g: Forgot Password - checks a reset link before the new password is asked for
+app.get('/api/password-reset/:token', async (req, res) => {
+    try {
+        const reset = await PasswordReset.findOne(passwordResetQuery(req.params.token));
+        if (!reset) {
+            return res.status(404).json({ success: false, message: 'This reset link is invalid, has expired or was already used.' });
+        }
+        res.json({ success: true, expiresAt: reset.expiresAt });
+    } catch (error) {
+        console.error('Password reset check error:', error);
+        res.status(500).json({ success: false, message: 'Server error while checking the reset link.' });
+    }
+});
+
+// API 1h: Forgot Password - sets the new password, uses up the link and ends every session
+app.post('/api/password-reset/confirm', async (req, res) => {
+    const { token, newPassword } = req.body;
+    const invalidLink = 'This reset link is invalid, has expired or was already used.';
+    try {
+        const reset = await PasswordReset.findOne(passwordResetQuery(token));
+        const user = reset && await User.findOne({ employerId: reset.employerId });
+        if (!user || user.active === false) {
+            return res.status(400).json({ success: false, message: invalidLink });
+        }
+        // Checked before the link is used up, so the person can try another password
+        const passwordError = validatePassword(newPassword, user);
+        if (passwordError) {
+            return res.status(400).json({ success: false, message: passwordError });
+        }
+        // Deleting the record claims the link, so two submissions cannot both use it
+        if (!(await PasswordReset.findOneAndDelete({ _id: reset._id }))) {
+            return res.status(400).json({ success: false, message: invalidLink });
+        }
+
+        user.password = await hashPassword(newPassword);
+        user.mustChangePassword = undefined;
+        user.loginFailuresClearedAt = new Date();
+        await user.save();
+        await endSessions(user.employerId);
+        await recordAudit(user, 'user.password-self-reset', user.employerId);
+        res.json({ success: true, message: 'Your password has been reset. Please log in with the new password.' });
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({ success: false, message: 'Server error while resetting your password.' });
+    }
+});
+
+// API 1i: Password Policy (shown where passwords are chosen)
+app.get('/api/password-policy', (req, res) => {
+    res.json({ 
+        success: true, 
+        minLength: PASSWORD_MIN_LENGTH, 
+        minCharacterClasses: PASSWORD_MIN_CHARACTER_CLASSES, 
+        description: passwordPolicyText() 
+    });
+});
+
+// API 1j: Two-Factor Status of the logged-in user
+app.get('/api/me/2fa', requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactorBackupCodes');
+        res.json({ 
+            success: true, 
+            enabled: Boolean(user.twoFactorEnabledAt), 
+            enabledAt: user.twoFactorEnabledAt,
+            required: twoFactorRequiredFor(user),
+            backupCodesLeft: (user.twoFactorBackupCodes || []).length 
+        });
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading two-factor settings.' });
+    }
+});
+
+// API 1k: Two-Factor Enrolment, step 1 - a new secret and its QR code for the authenticator
+// app. Nothing changes until API 1l confirms a code from it.
+app.post('/api/me/2fa/setup', requireAuth, async (req, res) => {
+    if (req.user.twoFactorEnabledAt) {
+        return res.status(400).json({ success: false, message: 'Two-factor authentication is already on.' });
+    }
+    try {
+        const secret = base32Encode(crypto.randomBytes(20));
+        await User.updateOne({ _id: req.user._id }, { twoFactorPendingSecret: secret });
+        const label = encodeURIComponent(`${TOTP_ISSUER}:${req.user.username}`);
+        const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=6&period=30`;
+        res.json({ success: true, secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ success: false, message: 'Server error while setting up two-factor authentication.' });
+    }
+});
+
+// API 1l: Two-Factor Enrolment, step 2 - the first code from the app turns two-factor on.
+// The backup codes are returned once; other sessions are ended.
+app.post('/api/me/2fa/enable', requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+        if (user.twoFactorEnabledAt) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is already on.' });
+        }
+        const step = verifyTotp(user.twoFactorPendingSecret, String(req.body.code || '').replace(/\s+/g, ''));
+        if (step === null) {
+            return res.status(400).json({ success: false, message: 'That code is not valid. Check the time on your phone and try the next code.' });
+        }
+
+        const backup = generateBackupCodes();
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorEnabledAt = new Date();
+        user.twoFactorLastStep = step;
+        user.twoFactorBackupCodes = backup.hashes;
+        await user.save();
+        await endSessions(user.employerId, req.session);
+        await recordAudit(req.user, 'user.2fa-enable', user.employerId);
+        res.json({ 
+            success: true, 
+            message: 'Two-factor authentication is on. Keep the backup codes somewhere safe; each works once.',
+            backupCodes: backup.codes 
+        });
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ success: false, message: 'Server error while turning on two-factor authentication.' });
+    }
+});
+
+// API 1m: Two-Factor - new backup codes (the old ones stop working). Needs a current code.
+app.post('/api/me/2fa/backup-codes', requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorBackupCodes');
+        if (!user.twoFactorEnabledAt) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not on.' });
+        }
+        if (!useSecondFactor(user, req.body.code)) {
+            return res.status(400).json({ success: false, message: 'That code is not valid.' });
+        }
+        const backup = generateBackupCodes();
+        user.twoFactorBackupCodes = backup.hashes;
+        await user.save();
+        await recordAudit(req.user, 'user.2fa-backup-codes', user.employerId);
+        res.json({ success: true, message: 'New backup codes created; the old ones no longer work.', backupCodes: backup.codes });
+    } catch (error) {
+        console.error('Backup code error:', error);
+        res.status(500).json({ success: false, message: 'Server error while creating backup codes.' });
+    }
+});
+
+// API 1n: Two-Factor - turn off (needs the password and a current code; not for roles that require it)
+app.post('/api/me/2fa/disable', requireAuth, async (req, res) => {
+    if (twoFactorRequiredFor(req.user)) {
+        return res.status(403).json({ success: false, message: 'Your role requires two-factor authentication.' });
+    }
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorBackupCodes');
+        if (!user.twoFactorEnabledAt) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not on.' });
+        }
+        if (!(await bcrypt.compare(String(req.body.password || ''), user.password))) {
+            return res.status(400).json({ success: false, message: 'Your password is incorrect.' });
+        }
+        if (!useSecondFactor(user, req.body.code)) {
+            return res.status(400).json({ success: false, message: 'That code is not valid.' });
+        }
+        await User.updateOne({ _id: user._id }, { 
+            $unset: { twoFactorSecret: 1, twoFactorEnabledAt: 1, twoFactorBackupCodes: 1, twoFactorLastStep: 1 } 
+        });
+        await recordAudit(req.user, 'user.2fa-disable', user.employerId);
+        res.json({ success: true, message: 'Two-factor authentication is off.' });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ success: false, message: 'Server error while turning off two-factor authentication.' });
+    }
+});
+
+// API 2: Registration (SECURED with HASHING).
+// With an invitation token the account is created straight away for the invited employer
+// ID; without one the registration waits for HR approval (not allowed in invite mode).
+app.post('/api/register', async (req, res) => {
+    const { name, employerId, jobTitle, department, contactNumber, email, username, password, invitation: token } = req.body; 
+    if (!username || !password || !contactNumber || (!token && (!name || !employerId || !jobTitle || !email))) {
+        return res.status(400).json({ success: false, message: 'All fields are required.' });
+    }
+    const passwordError = validatePassword(password, { name, employerId, username });
+    if (passwordError) {
+        return res.status(400).json({ success: false, message: passwordError });
+    }
+    if (!token && REGISTRATION_MODE === 'invite') {
+        return res.status(403).json({ success: false, message: 'Registration is by invitation only. Please ask HR for an invitation.' });
+    }
+    try {
+        if (token) {
+            const invitation = await Invitation.findOne({ tokenHash: hashToken(String(token)), expiresAt: { $gt: new Date() } });
+            if (!invitation) {
+                return res.status(400).json({ success: false, message: 'This invitation link is invalid or has expired. Please ask HR for a new one.' });
+            }
+            const invitedPasswordError = validatePassword(password, { name: invitation.name, employerId: invitation.employerId, username });
+            if (invitedPasswordError) {
+                return res.status(400).json({ success: false, message: invitedPasswordError });
+            }
+            const conflict = await findIdentityConflict(invitation.employerId, username, { invitationId: invitation._id });
+            if (conflict) {
+                return res.status(409).json({ success: false, message: conflict });
+            }
+
+            // HR's details win over the form, except what HR left empty
+            const newUser = await User.create({ 
+                name: invitation.name, 
+                employerId: invitation.employerId, 
+                email: invitation.email,
+                jobTitle: invitation.jobTitle || jobTitle, 
+                department: invitation.department || department, 
+                site: invitation.site,
+                contactNumber, 
+                username, 
+                password: await hashPassword(password),
+                role: 'employee',
+                joinDate: new Date()
+            });
+            await Invitation.deleteOne({ _id: invitation._id });
+            await recordAudit(newUser, 'user.invite-accepted', newUser.employerId);
+            return res.json({ success: true, message: 'Registration successful! You can now log in.' });
+        }
+
+        const idError = validateEmployerId(employerId);
+        if (idError) {
+            return res.status(400).json({ success: false, message: idError });
+        }
+        if (!EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ success: false, message: 'Please enter a valid email address.' });
+        }
+        if (isReservedEmployerId(employerId)) {
+            return res.status(409).json({ success: false, message: 'This Employer ID is reserved. Please contact HR.' });
+        }
+        const conflict = await findIdentityConflict(employerId, username);
+        if (conflict) {
+            return res.status(409).json({ success: false, message: conflict });
+        }
+
+        // Approval turns this into a plain employee account (any 'role' in the body is ignored)
+        await Registration.create({ 
+            name, employerId, jobTitle, department, contactNumber, email, username, 
+            password: await hashPassword(password)
+        });
+        await sendEmail(
+            process.env.ADMIN_EMAIL,
+            `[EPPI HR] NEW REGISTRATION TO APPROVE: ${name} (${employerId})`,
+            `
+            <p>A new employee registration is waiting for approval on the Employees page.</p>
+            <p><strong>Employee:</strong> ${escapeHtml(name)} (${escapeHtml(employerId)})</p>
+            <p><strong>Job Title:</strong> ${escapeHtml(jobTitle)}</p>
+            <p><strong>Email:</strong> ${escapeHtml(email)}</p>
+        `
+        );
+        res.json({ success: true, message: 'Registration submitted! You can log in once HR has approved it.' });
+    } catch (error) {
+        // Two registrations racing for the same ID or username
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'Username or Employer ID already exists.' });
+        }
+        console.error('Server error during registration:', error);
+        res.status(500).json({ success: false, message: 'Server error during registration.' });
+    }
+});
+
+// API 2b: Registration Settings (what the registration page asks for)
+app.get('/api/register/settings', (req, res) => {
+    res.json({ 
+        success: true, 
+        selfRegistration: REGISTRATION_MODE === 'approval', 
+        employerIdExample: EMPLOYER_ID_EXAMPLE,
+        employerIdPattern: EMPLOYER_ID_PATTERN.source 
+    });
+});
+
+// API 2c: Registration - details of an invitation, to fill in the registration page
+app.get('/api/register/invitations/:token', async (req, res) => {
+    try {
+        const invitation = await Invitation.findOne({ tokenHash: hashToken(req.params.token), expiresAt: { $gt: new Date() } });
+        if (!invitation) {
+            return res.status(404).json({ success: false, message: 'This invitation link is invalid or has expired. Please ask HR for a new one.' });
+        }
+        const { name, employerId, email, jobTitle, department } = invitation;
+        res.json({ success: true, invitation: { name, employerId, email, jobTitle, department } });
+    } catch (error) {
+        console.error('Invitation lookup error:', error);
+        res.status(500).json({ success: false, message: 'Server error while checking the invitation.' });
+    }
+});
+
+// The saved punch as the camera page shows it
+const punchSummary = (record, locale = LOCALE) => ({
+    photoUrl: record.photoUrl,
+    punchType: record.punchType,
+    timestamp: record.timestamp,
+    timeZone: recordZone(record),
+    workDate: workDateOf(record),
+    date: formatDate(record.timestamp, recordZone(record), locale),
+    time: formatTime(record.timestamp, recordZone(record), locale),
+    siteName: record.siteName,
+    geofenceStatus: record.geofenceStatus,
+    faceStatus: record.faceStatus,
+    livenessStatus: record.liveness && record.liveness.status,
+    syncedLate: Boolean(record.syncedLate),
+    approvalStatus: record.approvalStatus,
+    reviewReasons: record.reviewReasons || []
+});
+
+// Device capture time of a punch replayed from the offline queue, or an error message
+const parseQueuedCaptureTime = (value, now) => {
+    const capturedAt = new Date(value);
+    if (!value || isNaN(capturedAt)) {
+        return { error: 'The queued punch has no valid capture time.' };
+    }
+    if (capturedAt - now > CLOCK_SKEW_SECONDS * 1000) {
+        return { error: 'The queued punch was captured in the future. Please check the date and time on your device.' };
+    }
+    if (now - capturedAt > OFFLINE_PUNCH_MAX_AGE_HOURS * 60 * 60 * 1000) {
+        return { error: `Punches older than ${OFFLINE_PUNCH_MAX_AGE_HOURS} hours cannot be synced. Please contact HR.` };
+    }
+    return { capturedAt: capturedAt > now ? now : capturedAt };
+};
+
+// Applies the PUNCH RULES to a new punch at the given time. Returns null when it is
+// allowed, otherwise the message and the existing punch that blocks it. The daily
+// limit counts the calendar day in timeZone; times in messages are shown in locale.
+const checkPunchRules = async (employerId, punchType, timestamp, { timeZone = TIME_ZONE, locale = LOCALE } = {}) => {
+    const timeOf = (record) => formatTime(record.timestamp, recordZone(record), locale);
+    if (PUNCH_MIN_INTERVAL_SECONDS > 0) {
+        const intervalMs = PUNCH_MIN_INTERVAL_SECONDS * 1000;
+        const recent = await Attendance.findOne({
+            employerId,
+            timestamp: { $gt: new Date(timestamp - intervalMs), $lt: new Date(+timestamp + intervalMs) }
+        }).sort({ timestamp: -1 });
+        if (recent) {
+            return {
+                message: `${PUNCH_LABELS[recent.punchType] || 'A punch'} was already recorded at ${timeOf(recent)}. Please wait before punching again.`,
+                record: recent
+            };
+        }
+    }
+
+    if (PUNCH_BLOCK_SAME_DIRECTION) {
+        // Only the previous punch of the same shift counts; yesterday's Check Out does not block today's
+        const previous = await Attendance.findOne({
+            employerId,
+            timestamp: { $lt: timestamp, $gt: new Date(timestamp - MAX_SHIFT_HOURS * 60 * 60 * 1000) }
+        }).sort({ timestamp: -1 });
+        if (previous && previous.punchType === punchType) {
+            return {
+                message: `Your last punch was already a ${PUNCH_LABELS[punchType]} (at ${timeOf(previous)}). Did you choose the wrong punch type?`,
+                record: previous
+            };
+        }
+    }
+
+    if (PUNCH_MAX_PER_DAY > 0) {
+        const dayKey = dayKeyInZone(timestamp, timeZone);
+        const dayQuery = {
+            employerId,
+            timestamp: { $gte: zonedDayStart(dayKey, timeZone), $lt: zonedDayStart(nextDayKey(dayKey), timeZone) }
+        };
+        const count = await Attendance.countDocuments(dayQuery);
+        if (count >= PUNCH_MAX_PER_DAY) {
+            return {
+                message: `You have reached the limit of ${PUNCH_MAX_PER_DAY} punches for the day. Please contact HR if a punch is missing.`,
+                record: await Attendance.findOne(dayQuery).sort({ timestamp: -1 })
+            };
+        }
+    }
+    return null;
+};
+
+// Work date of a new punch: the local date of the IN that opened its shift, so a night
+// shift's check-out after midnight stays on the day the shift started
+const workDateFor = async (employerId, punchType, timestamp, timeZone) => {
+    if (punchType !== 'IN') {
+        const previous = await Attendance.findOne({
+            employerId,
+            timestamp: { $lt: timestamp, $gt: new Date(timestamp - MAX_SHIFT_HOURS * 60 * 60 * 1000) }
+        }).sort({ timestamp: -1 });
+        // The shift is still open when its last punch was the IN or a break
+        if (previous && previous.punchType && previous.punchType !== 'OUT') return workDateOf(previous);
+    }
+    return dayKeyInZone(timestamp, timeZone);
+};
+
+// Employees with a punch being processed right now; a second tap waits for the first to finish
+const punchesInProgress = new Set();
+
+// API 3a: Liveness Challenge (requested by the camera page right before a capture)
+app.post('/api/attendance/liveness-challenge', requireAuth, requirePermission('attendance:mark'), async (req, res) => {
+    if (LIVENESS_MODE === 'off') {
+        return res.json({ success: true, required: false });
+    }
+    try {
+        // Refuse a duplicate punch now rather than after the employee has done the challenge
+        if (PUNCH_TYPES.includes(req.body.punchType)) {
+            const locale = viewerLocale(req.user);
+            const blocked = await checkPunchRules(req.user.employerId, req.body.punchType, new Date(), {
+                timeZone: await timeZoneFor(req.user.site), locale
+            });
+            if (blocked) {
+                return res.status(409).json({ 
+                    success: false, 
+                    message: blocked.message,
+                    record: blocked.record ? punchSummary(blocked.record, locale) : undefined
+                });
+            }
+        }
+        const steps = createLivenessSteps();
+        const challenge = await LivenessChallenge.create({
+            challengeId: crypto.randomBytes(16).toString('hex'),
+            employerId: req.user.employerId,
+            steps,
+            expiresAt: new Date(Date.now() + LIVENESS_CHALLENGE_TTL_SECONDS * 1000)
+        });
+        res.json({ 
+            success: true, 
+            required: true,
+            challengeId: challenge.challengeId,
+            prompts: steps.map(step => LIVENESS_STEP_PROMPTS[step]),
+            maxFrames: LIVENESS_MAX_FRAMES
+        });
+    } catch (error) {
+        console.error('Liveness challenge error:', error);
+        res.status(500).json({ success: false, message: 'Server error while starting the liveness check.' });
+    }
+});
+
+// API 3: Attendance Logging (Uploads to Cloudinary)
+const attendanceUpload = upload.fields([
+    { name: 'photo', maxCount: 1 },
+    { name: 'frames', maxCount: LIVENESS_MAX_FRAMES }
+]);
+app.post('/api/attendance/mark', requireAuth, requirePermission('attendance:mark'), attendanceUpload, async (req, res) => {
+    const photo = req.files && req.files.photo && req.files.photo[0];
+    if (!photo) {
+        return res.status(400).json({ success: false, message: 'No photo file was uploaded.' });
+    }
+    const frames = (req.files && req.files.frames) || [];
+    const { employerId, name: loggerName } = req.user;
+    const locale = viewerLocale(req.user);
+    const { punchType, livenessChallengeId, clientPunchId } = req.body;
+    // Set by the offline queue when it replays a punch captured earlier on the device
+    const queued = req.body.queued === 'true';
+
+    if (!PUNCH_TYPES.includes(punchType)) {
+        return res.status(400).json({ success: false, message: 'Please choose Check In, Break Out, Break In or Check Out.' });
+    }
+    if (clientPunchId !== undefined && !/^[A-Za-z0-9-]{8,64}$/.test(clientPunchId)) {
+        return res.status(400).json({ success: false, message: 'Invalid punch ID.' });
+    }
+    const sendExisting = (existing) => res.json({
+        success: true,
+        duplicate: true,
+        message: `${PUNCH_LABELS[existing.punchType] || 'Punch'} was already recorded.`,
+        record: punchSummary(existing, locale)
+    });
+
+    // Location is optional on the wire (the browser may deny it); the geofence decides what that means
+    const latitude = parseFloat(req.body.latitude);
+    const longitude = parseFloat(req.body.longitude);
+    const location = Number.isFinite(latitude) && Number.isFinite(longitude)
+        ? { latitude, longitude, accuracy: parseFloat(req.body.accuracy) || undefined }
+        : null;
+    
+    if (punchesInProgress.has(employerId)) {
+        return res.status(429).json({ success: false, message: 'Your previous punch is still being recorded. Please wait a moment.' });
+    }
+    punchesInProgress.add(employerId);
+    try {
+        // A retried upload of a punch that was already saved gets the saved record back
+        if (clientPunchId) {
+            const existing = await Attendance.findOne({ employerId, clientPunchId });
+            if (existing) return sendExisting(existing);
+        }
+
+        // Live punches are timed by the server; queued ones keep their device capture time
+        const now = new Date();
+        let timestamp = now;
+        if (queued) {
+            const parsed = parseQueuedCaptureTime(req.body.timestamp, now);
+            if (parsed.error) {
+                return res.status(400).json({ success: false, message: parsed.error });
+            }
+            timestamp = parsed.capturedAt;
+        }
+        const syncedLate = queued && now - timestamp > SYNCED_LATE_AFTER_SECONDS * 1000;
+
+        // Repeated taps and duplicate punches are refused before any checks or uploads run
+        const blocked = await checkPunchRules(employerId, punchType, timestamp, {
+            timeZone: await timeZoneFor(req.user.site), locale
+        });
+        if (blocked) {
+            return res.status(409).json({ 
+                success: false, 
+                message: blocked.message,
+                record: blocked.record ? punchSummary(blocked.record, locale) : undefined
+            });
+        }
+
+        // 1. Check the site boundaries before spending a Cloudinary upload
+        const { allowed, ...geofence } = await checkGeofence(location);
+        if (!allowed) {
+            const message = location
+                ? `You are ${geofence.distanceFromSite} m outside ${geofence.siteName}. Attendance can only be marked at a work site.`
+                : 'Your location is required to mark attendance. Please allow location access and try again.';
+            return res.status(403).json({ success: false, message });
+        }
+
+        // 2. Liveness: the head must have followed the challenge, or it may be a photo of a photo.
+        // Offline captures could not fetch a challenge, so they are saved unchecked and always
+        // flagged, whatever LIVENESS_MODE says: being queued is only the device's word.
+        const liveness = queued
+            ? { status: 'unchecked', reason: 'Captured offline' }
+            : await verifyLiveness(employerId, livenessChallengeId, frames, photo.buffer);
+        if (liveness.status === 'failed' && LIVENESS_MODE === 'reject') {
+            return res.status(403).json({ 
+                success: false, 
+                message: `Liveness check failed: ${liveness.reason}. Please try again and follow the on-screen prompt.` 
+            });
+        }
+        if (liveness.status === 'unchecked' && LIVENESS_MODE === 'reject' && !queued) {
+            return res.status(503).json({
+                success: false,
+                message: `${liveness.reason || 'Liveness check could not run'}. Please try again in a moment.`
+            });
+        }
+
+        // 3. Compare the face with the enrolled reference; doubtful punches are kept but flagged
+        const face = await verifyFace(employerId, photo.buffer);
+        const reviewReasons = [];
+        if (geofence.geofenceStatus === 'outside') reviewReasons.push('Outside work site');
+        if (face.faceStatus === 'low-confidence') reviewReasons.push('Face does not match');
+        if (face.faceStatus === 'no-face') reviewReasons.push('No face in photo');
+        if (liveness.status === 'failed') reviewReasons.push('Liveness check failed');
+        if (liveness.status === 'unchecked' && LIVENESS_MODE !== 'off' && !queued) reviewReasons.push('Liveness not checked');
+        if (queued) reviewReasons.push('Captured offline, liveness not checked');
+        // In reject mode nothing counts without a liveness check, so an offline punch waits
+        // for HR; until it is approved it is left out of shifts, status and overtime
+        const needsApproval = queued && LIVENESS_MODE === 'reject';
+
+        // The punch is dated in the zone of the site it was made at (else the employee's site)
+        const timeZone = await timeZoneFor(geofence.siteName, req.user.site);
+        const workDate = await workDateFor(employerId, punchType, timestamp, timeZone);
+        // Keyed by the punch ID when there is one, so racing retries overwrite a single photo
+        const fileName = `${employerId}_${clientPunchId || Date.now()}`;
+        
+        const uploadResult = await uploadStream(photo.buffer, {
+            folder: 'eppi_attendance', 
+            public_id: fileName,       
+            resource_type: 'image',
+            overwrite: true            
+        });
+        
+        const photoUrl = uploadResult.secure_url; 
+
+        const newRecord = new Attendance({
+            employerId: employerId,
+            loggerName: loggerName,
+            timestamp: timestamp, 
+            timeZone: timeZone,
+            date: workDate, 
+            punchType: punchType,
+            clientPunchId,
+            syncedLate: syncedLate || undefined,
+            receivedAt: syncedLate ? now : undefined,
+            location: location || undefined,
+            ...geofence,
+            ...face,
+            liveness,
+            reviewReasons: reviewReasons.length ? reviewReasons : undefined,
+            approvalStatus: needsApproval ? 'Pending' : undefined,
+            photoPath: uploadResult.public_id, 
+            photoUrl: photoUrl 
+        });
+
+        try {
+            await newRecord.save();
+        } catch (error) {
+            // Two uploads of the same punch raced past the check above; the other one won
+            if (error.code === 11000 && clientPunchId) {
+                const existing = await Attendance.findOne({ employerId, clientPunchId });
+                if (existing) return sendExisting(existing);
+            }
+            throw error;
+        }
+        const synced = `${PUNCH_LABELS[punchType]} captured offline at ${formatTime(timestamp, timeZone, locale)} has been synced`;
+        res.json({ 
+            success: true, 
+            message: needsApproval ? `${synced} and counts once HR approves it.`
+                : syncedLate ? `${synced}.`
+                : `${PUNCH_LABELS[punchType]} recorded and photo saved to Cloudinary!`,
+            record: punchSummary(newRecord, locale)
+        });
+    } catch (error) {
+        console.error('Attendance and Cloudinary upload error:', error);
+        res.status(500).json({ success: false, message: 'Server error saving attendance record or photo.' });
+    } finally {
+        punchesInProgress.delete(employerId);
+    }
+});
+
+// API 3d: My Shift Status (scheduled shift and how each recent day went, for the dashboard)
+app.get('/api/attendance/shift-status', requireAuth, async (req, res) => {
+    const dayCount = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 31);
+    const now = new Date();
+    const locale = viewerLocale(req.user);
+
+    try {
+        const { employerId } = req.user;
+        const timeZone = await timeZoneFor(req.user.site);
+        const to = dayKeyInZone(now, timeZone);
+        const from = addDays(to, -(dayCount - 1));
+        const context = await loadScheduleContext([employerId], from, to);
+        const days = (await evaluateEmployeeSchedule(context, employerId, from, to, now)).reverse();
+        const todayShift = context.shiftOn(employerId, to);
+        res.json({
+            success: true,
+            timeZone,
+            today: todayShift ? { name: todayShift.name, startTime: todayShift.startTime, endTime: todayShift.endTime } : null,
+            days: days.map(day => ({
+                date: day.dayKey,
+                shiftName: day.shiftName,
+                scheduled: `${formatTime(day.scheduledStart, timeZone, locale)} - ${formatTime(day.scheduledEnd, timeZone, locale)}`,
+                firstIn: day.firstIn ? formatTime(day.firstIn, timeZone, locale) : null,
+                lastOut: day.lastOut ? formatTime(day.lastOut, timeZone, locale) : null,
+                status: day.status,
+                label: day.label
+            }))
+        });
+    } catch (error) {
+        console.error('Shift status error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading your shift status.' });
+    }
+});
+
+// Cloudinary serves a resized copy of a photo when a transformation is put into its URL
+const thumbnailUrl = (photoUrl, size = 96) => (photoUrl && photoUrl.includes('/image/upload/')
+    ? photoUrl.replace('/image/upload/', `/image/upload/c_fill,w_${size},h_${size}/`)
+    : photoUrl);
+
+// Each day of [from, to] on one employee's calendar: the schedule status (days with a
+// shift only), the holiday of their site and any approved or pending leave
+const attendanceDaySummary = async (user, from, to) => {
+    const context = await loadScheduleContext([user.employerId], from, to);
+    const scheduled = new Map((await evaluateEmployeeSchedule(context, user.employerId, from, to)).map(day => [day.dayKey, day]));
+    const holidayOn = await loadHolidayCalendar(from, to);
+    const leaves = await Leave.find({
+        employerId: user.employerId,
+        status: { $in: ['Approved', 'Pending'] },
+        startDate: { $lte: new Date(`${to}T00:00:00Z`) },
+        endDate: { $gte: new Date(`${from}T00:00:00Z`) }
+    });
+
+    const days = [];
+    for (let dayKey = from; dayKey <= to; dayKey = nextDayKey(dayKey)) {
+        const day = scheduled.get(dayKey);
+        const leave = leaves.find(leave => toDayKey(leave.startDate) <= dayKey && toDayKey(leave.endDate) >= dayKey);
+        days.push({
+            date: dayKey,
+            shiftName: day ? day.shiftName : null,
+            status: day ? day.status : null,
+            label: day ? day.label : null,
+            holiday: holidayOn(dayKey, user.site) || null,
+            leave: leave ? { leaveType: leave.leaveType, status: leave.status } : null
+        });
+    }
+    return days;
+};
+
+// API 3e: My Attendance History, newest first. ?from= and ?to= (work dates, YYYY-MM-DD)
+// narrow it, ?page= and ?limit= page through it, and ?summary=true adds every day's status,
+// holiday and leave for the calendar (up to 62 days). The latest punch is always included.
+app.get('/api/attendance/me', requireAuth, async (req, res) => {
+    const { from, to } = req.query;
+    if ((from && !DAY_KEY_PATTERN.test(from)) || (to && !DAY_KEY_PATTERN.test(to))) {
+        return res.status(400).json({ success: false, message: 'Dates must be in YYYY-MM-DD format.' });
+    }
+    if (from && to && from > to) {
+        return res.status(400).json({ success: false, message: 'The start date must not be after the end date.' });
+    }
+    const summary = req.query.summary === 'true';
+    if (summary && !(from && to && daysBetween(from, to) < 62)) {
+        return res.status(400).json({ success: false, message: 'The day summary needs a from and to date at most 62 days apart.' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+    const requestedPage = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const locale = viewerLocale(req.user);
+    const punchView = (record) => ({ id: record._id, ...punchSummary(record, locale), thumbnailUrl: thumbnailUrl(record.photoUrl) });
+
+    try {
+        const { employerId } = req.user;
+        const timeZone = await timeZoneFor(req.user.site);
+        const query = { employerId };
+        if (from || to) {
+            // Newer punches hold their work date; older ones only a display date, so those
+            // are matched by the time of the punch in the employee's zone instead
+            const dateRange = { $regex: DAY_KEY_PATTERN };
+            const timeRange = {};
+            if (from) {
+                dateRange.$gte = from;
+                timeRange.$gte = zonedDayStart(from, timeZone);
+            }
+            if (to) {
+                dateRange.$lte = to;
+                timeRange.$lt = zonedDayStart(nextDayKey(to), timeZone);
+            }
+            query.$or = [{ date: dateRange }, { date: { $not: DAY_KEY_PATTERN }, timestamp: timeRange }];
+        }
+
+        const total = await Attendance.countDocuments(query);
+        const pages = Math.max(1, Math.ceil(total / limit));
+        const page = Math.min(requestedPage, pages);
+        const records = await Attendance.find(query).sort({ timestamp: -1 }).skip((page - 1) * limit).limit(limit);
+        const latest = await Attendance.findOne({ employerId }).sort({ timestamp: -1 });
+        res.json({
+            success: true,
+            timeZone,
+            total,
+            page,
+            pages,
+            latest: latest ? punchView(latest) : null,
+            records: records.map(punchView),
+            days: summary ? await attendanceDaySummary(req.user, from, to) : undefined
+        });
+    } catch (error) {
+        console.error('Attendance history error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading your attendance history.' });
+    }
+});
+
+// API 3b: Face Enrolment (self-service, first time only; re-enrolment goes through HR)
+app.post('/api/face/enroll', requireAuth, upload.single('photo'), async (req, res) => {
+    if (req.user.faceEnrolledAt) {
+        return res.status(409).json({ success: false, message: 'Your face is already enrolled. Ask HR to re-enrol you.' });
+    }
+    try {
+        const error = await enrollFace(req.user, req.file, req.user.employerId);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        res.json({ success: true, message: 'Face enrolled. Your attendance photos will now be verified.' });
+    } catch (error) {
+        console.error('Face enrolment error:', error);
+        res.status(500).json({ success: false, message: 'Server error during face enrolment.' });
+    }
+});
+
+// API 3c: Face Enrolment by HR for another employee (replaces any existing reference)
+app.post('/api/admin/users/:employerId/face', requireAuth, requirePermission('face:enroll-others'), upload.single('photo'), async (req, res) => {
+    try {
+        const user = await loadManagedUser(req, res);
+        if (!user) return;
+        const error = await enrollFace(user, req.file, req.user.employerId);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        await recordAudit(req.user, 'user.face', user.employerId);
+        res.json({ success: true, message: `Face enrolled for ${user.name}.` });
+    } catch (error) {
+        console.error('Face enrolment error:', error);
+        res.status(500).json({ success: false, message: 'Server error during face enrolment.' });
+    }
+});
+
+// API 3f: Offline Punches Awaiting HR Approval, oldest first
+app.get('/api/attendance/pending-approval', requireAuth, requirePermission('attendance:approve-offline'), async (req, res) => {
+    const locale = viewerLocale(req.user);
+    try {
+        const records = await Attendance.find({ approvalStatus: 'Pending' }).sort({ timestamp: 1 });
+        res.json({ 
+            success: true, 
+            punches: records.map(record => ({ 
+                id: record._id, 
+                employerId: record.employerId, 
+                loggerName: record.loggerName, 
+                ...punchSummary(record, locale) 
+            }))
+        });
+    } catch (error) {
+        console.error('Pending punch list error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading punches awaiting approval.' });
+    }
+});
+
+// API 3g: Approve or Reject an Offline Punch (HR). A rejected punch stays on record
+// for the reports but never counts towards shifts, status or overtime.
+app.post('/api/attendance/:id/decision', requireAuth, requirePermission('attendance:approve-offline'), async (req, res) => {
+    const { decision } = req.body;
+    if (!['Approved', 'Rejected'].includes(decision)) {
+        return res.status(400).json({ success: false, message: "Decision must be 'Approved' or 'Rejected'." });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Punch not found.' });
+    }
+
+    try {
+        const record = await Attendance.findById(req.params.id);
+        if (!record) {
+            return res.status(404).json({ success: false, message: 'Punch not found.' });
+        }
+        if (record.employerId === req.user.employerId) {
+            return res.status(403).json({ success: false, message: 'You cannot decide on your own punch.' });
+        }
+        // Only a punch that is still pending changes, so two HR decisions cannot both apply
+        const decided = await Attendance.findOneAndUpdate(
+            { _id: record._id, approvalStatus: 'Pending' },
+            { approvalStatus: decision, decidedBy: req.user.employerId, decidedByName: req.user.name, decidedAt: new Date() }
+        );
+        if (!decided) {
+            return res.status(409).json({ success: false, message: 'This punch is not awaiting approval any more.' });
+        }
+        res.json({ success: true, message: `${PUNCH_LABELS[record.punchType] || 'Punch'} of ${record.loggerName} ${decision.toLowerCase()}.` });
+    } catch (error) {
+        console.error('Punch decision error:', error);
+        res.status(500).json({ success: false, message: 'Server error while saving the decision.' });
+    }
+});
+
+// API 4: Leave Submission
+app.post('/api/leave/submit', requireAuth, requirePermission('leave:submit'), async (req, res) => {
+    const { leaveType, startDate, endDate, reason } = req.body;
+    const { employerId, name: loggerName } = req.user;
+    
+    if (!leaveType || !startDate || !endDate || !reason) {
+        return res.status(400).json({ success: false, message: 'All leave form fields are required.' });
+    }
+    if (!LEAVE_TYPES.includes(leaveType)) {
+        return res.status(400).json({ success: false, message: `Leave type must be one of: ${LEAVE_TYPES.join(', ')}.` });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (isNaN(start) || isNaN(end) || end < start) {
+        return res.status(400).json({ success: false, message: 'End date must be on or after the start date.' });
+    }
+    if (start.getUTCFullYear() !== end.getUTCFullYear()) {
+        return res.status(400).json({ success: false, message: 'A leave request cannot span two calendar years. Please submit one request per year.' });
+    }
+
+    try {
+        // 1. Count working days and check them against the remaining balance
+        const days = await countWorkingDays(start, end, req.user.site);
+        if (days === 0) {
+            return res.status(400).json({ success: false, message: 'The selected period has no working days.' });
+        }
+        const balance = await summarizeLeaveBalance(req.user, leaveType, start.getUTCFullYear());
+        if (balance.remaining !== null && days > balance.remaining) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `This request needs ${days} day(s) but you only have ${balance.remaining} ${leaveType} leave day(s) left.` 
+            });
+        }
+
+        // 2. Save the new leave request to MongoDB
+        const newLeaveRequest = new Leave({
+            employerId,
+            loggerName,
+            leaveType,
+            startDate: start,
+            endDate: end,
+            days,
+            reason,
+            status: 'Pending' 
+        });
+        await newLeaveRequest.save();
+
+        // 3. Send email notification to HR via Brevo API
+        await sendEmail(
+            process.env.ADMIN_EMAIL,
+            `[EPPI HR] NEW PENDING LEAVE REQUEST: ${loggerName} (${employerId})`,
+            `
+            <p>A new leave request has been submitted and is pending your approval.</p>
+            <p><strong>Employee:</strong> ${escapeHtml(loggerName)} (${escapeHtml(employerId)})</p>
+            <p><strong>Leave Type:</strong> ${escapeHtml(leaveType)}</p>
+            <p><strong>Period:</strong> ${escapeHtml(startDate)} to ${escapeHtml(endDate)} (${days} working day(s))</p>
+            <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+            <hr>
+            <p>This request has been logged in the MongoDB 'Leaves' collection with status 'Pending'.</p>
+        `
+        );
+
+        res.json({ success: true, message: 'Leave request submitted successfully! HR has been notified.' });
+    
+    } catch (dbError) {
+        console.error('Server error during leave submission:', dbError);
+        res.status(500).json({ success: false, message: 'Server error during leave submission.' });
+    }
+});
+
+// API 4b: My Leave Requests (employee's own history with status)
+app.get('/api/leave/mine', requireAuth, async (req, res) => {
+    try {
+        const leaves = await Leave.find({ employerId: req.user.employerId }).sort({ submittedAt: -1 });
+        res.json({ success: true, leaves });
+    } catch (error) {
+        console.error('Leave history error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading your leave requests.' });
+    }
+});
+
+// API 4b2: My Leave Balances (current year, every leave type)
+app.get('/api/leave/balance', requireAuth, async (req, res) => {
+    try {
+        const year = new Date().getUTCFullYear();
+        const balances = [];
+        for (const leaveType of LEAVE_TYPES) {
+            balances.push(await summarizeLeaveBalance(req.user, leaveType, year));
+        }
+        res.json({ success: true, balances });
+    } catch (error) {
+        console.error('Leave balance error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading leave balances.' });
+    }
+});
+
+// API 4c: Pending Leave Requests (HR)
+app.get('/api/leave/pending', requireAuth, requirePermission('leave:approve'), async (req, res) => {
+    try {
+        const leaves = await Leave.find({ status: 'Pending' }).sort({ submittedAt: 1 });
+        res.json({ success: true, leaves });
+    } catch (error) {
+        console.error('Pending leave list error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading pending leave requests.' });
+    }
+});
+
+// API 4d: Approve or Reject a Leave Request (HR), then notify the employee
+app.post('/api/leave/:id/decision', requireAuth, requirePermission('leave:approve'), async (req, res) => {
+    const { decision, comment } = req.body;
+
+    if (!['Approved', 'Rejected'].includes(decision)) {
+        return res.status(400).json({ success: false, message: "Decision must be 'Approved' or 'Rejected'." });
+    }
+    if (decision === 'Rejected' && !comment) {
+        return res.status(400).json({ success: false, message: 'Please give a reason when rejecting a request.' });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Leave request not found.' });
+    }
+
+    try {
+        const leave = await Leave.findById(req.params.id);
+        if (!leave) {
+            return res.status(404).json({ success: false, message: 'Leave request not found.' });
+        }
+        if (leave.status !== 'Pending') {
+            return res.status(409).json({ success: false, message: `This request was already ${leave.status.toLowerCase()}.` });
+        }
+        if (leave.employerId === req.user.employerId) {
+            return res.status(403).json({ success: false, message: 'You cannot decide on your own leave request.' });
+        }
+
+        // 1. Approving deducts the working days from the employee's balance
+        if (decision === 'Approved' && LEAVE_POLICY[leave.leaveType]) {
+            const owner = await User.findOne({ employerId: leave.employerId });
+            const year = leave.startDate.getUTCFullYear();
+            if (leave.days == null) leave.days = await countWorkingDays(leave.startDate, leave.endDate, owner && owner.site);
+            const { remaining: available } = await summarizeLeaveBalance(owner, leave.leaveType, year, leave._id);
+            if (available !== null && leave.days > available) {
+                return res.status(409).json({ success: false, message: `The employee only has ${available} ${leave.leaveType} day(s) left; this request needs ${leave.days}.` });
+            }
+            await LeaveBalance.updateOne(
+                { employerId: leave.employerId, year, leaveType: leave.leaveType },
+                { $inc: { used: leave.days } }
+            );
+        }
+
+        // 2. Record the decision and who made it
+        leave.status = decision;
+        leave.decisionComment = comment;
+        leave.decidedBy = req.user.employerId;
+        leave.decidedByName = req.user.name;
+        leave.decidedAt = new Date();
+        await leave.save();
+
+        // 3. Notify the employee of the outcome
+        const employee = await User.findOne({ employerId: leave.employerId }, 'email locale');
+        if (employee && employee.email) {
+            await sendEmail(
+                employee.email,
+                `[EPPI HR] Your leave request has been ${decision.toLowerCase()}`,
+                `
+                <p>Your ${escapeHtml(leave.leaveType)} leave request has been <strong>${decision.toLowerCase()}</strong>.</p>
+                <p><strong>Period:</strong> ${formatDate(leave.startDate, 'UTC', viewerLocale(employee))} to ${formatDate(leave.endDate, 'UTC', viewerLocale(employee))}</p>
+                <p><strong>Decided by:</strong> ${escapeHtml(req.user.name)}</p>
+                ${comment ? `<p><strong>Comment:</strong> ${escapeHtml(comment)}</p>` : ''}
+            `
+            );
+        } else {
+            console.warn(`No email on file for ${leave.employerId}; leave decision not emailed.`);
+        }
+
+        res.json({ success: true, message: `Leave request ${decision.toLowerCase()}. The employee has been notified.` });
+    } catch (error) {
+        console.error('Leave decision error:', error);
+        res.status(500).json({ success: false, message: 'Server error while saving the leave decision.' });
+    }
+});
+
+// API 4e: Set an employee's join date and yearly leave quota overrides (HR)
+app.put('/api/leave/entitlements/:employerId', requireAuth, requirePermission('leave:manage-entitlements'), async (req, res) => {
+    const { joinDate, entitlements } = req.body;
+
+    try {
+        const user = await User.findOne({ employerId: req.params.employerId });
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
+        if (joinDate) {
+            const parsed = new Date(joinDate);
+            if (isNaN(parsed)) {
+                return res.status(400).json({ success: false, message: 'Join date is not a valid date.' });
+            }
+            user.joinDate = parsed;
+        }
+        for (const [leaveType, quota] of Object.entries(entitlements || {})) {
+            if (!LEAVE_TYPES.includes(leaveType)) {
+                return res.status(400).json({ success: false, message: `Unknown leave type: ${leaveType}.` });
+            }
+            // An empty value removes the override and falls back to the policy default
+            if (quota === '' || quota === null) {
+                if (user.leaveEntitlements) user.leaveEntitlements.delete(leaveType);
+            } else if (Number(quota) >= 0) {
+                if (!user.leaveEntitlements) user.leaveEntitlements = new Map();
+                user.leaveEntitlements.set(leaveType, Number(quota));
+            } else {
+                return res.status(400).json({ success: false, message: 'Quotas must be zero or more days.' });
+            }
+        }
+        await user.save();
+
+        const year = new Date().getUTCFullYear();
+        const balances = [];
+        for (const leaveType of LEAVE_TYPES) {
+            balances.push(await summarizeLeaveBalance(user, leaveType, year));
+        }
+        res.json({ success: true, message: `Leave entitlements updated for ${user.name}.`, balances });
+    } catch (error) {
+        console.error('Leave entitlement update error:', error);
+        res.status(500).json({ success: false, message: 'Server error while updating leave entitlements.' });
+    }
+});
+
+// --- Report Writers ---
+// Each writer receives the result of buildReportFilters plus the viewer's locale and
+// streams one format to the response. Dates stay YYYY-MM-DD so the files sort and
+// import cleanly; times are written in the viewer's locale, in the zone they happened in.
+
+// Punches uploaded from the offline queue show when the server actually received them
+const syncedLateLabel = (record, locale) => record.syncedLate && record.receivedAt
+    ? `Late (${formatDate(record.receivedAt, recordZone(record), locale)} ${formatTime(record.receivedAt, recordZone(record), locale)})`
+    : '';
+
+// HR Review column: why the punch was flagged, then HR's decision on an offline punch
+const reviewNote = (record) => [
+    ...(record.reviewReasons || []),
+    record.approvalStatus && `Offline punch ${record.approvalStatus.toLowerCase()}`
+].filter(Boolean).join('; ');
+
+// Raised when the client closes a download part way; writers stop and close their cursors
+const DOWNLOAD_ABORTED = 'DOWNLOAD_ABORTED';
+const downloadAborted = () => Object.assign(new Error('The client closed the download.'), { code: DOWNLOAD_ABORTED });
+
+// Resolves when the response emits `event`, or rejects if the client disconnects first
+const waitForResponse = (res, event) => new Promise((resolve, reject) => {
+    if (res.destroyed) return reject(downloadAborted());
+    const settle = (error) => {
+        res.off(event, onEvent);
+        res.off('close', onClose);
+        if (error) reject(error);
+        else resolve();
+    };
+    const onEvent = () => settle();
+    const onClose = () => settle(downloadAborted());
+    res.on(event, onEvent);
+    res.on('close', onClose);
+});
+
+// Pauses the producer while the client is slower than we generate rows
+const waitForDrain = async (res) => {
+    if (res.destroyed) throw downloadAborted();
+    if (res.writableNeedDrain) await waitForResponse(res, 'drain');
+};
+
+// Excel: raw punches, daily summary, monthly totals, leave, shift status and overtime sheets.
+// Uses ExcelJS's streaming writer and Mongo cursors; each sheet is committed
+// before the next one starts so rows are flushed to the client as they are made.
+const writeExcelReport = async (res, { attendanceQuery, leaveQuery, usersById, departmentOf, label, from, to, selectedIds, locale }) => {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="attendance_report_${label}.xlsx"`);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+
+    // Sheet 1: every punch, with a clickable link to its photo
+    const punchSheet = addReportSheet(workbook, 'Raw Punches', [
+        { header: 'Date', key: 'date', width: 15 },
+        { header: 'Time', key: 'time', width: 15 },
+        { header: 'Time Zone', key: 'timeZone', width: 20 },
+        { header: 'Punch', key: 'punch', width: 12 },
+        { header: 'Logger Name', key: 'loggerName', width: 25 },
+        { header: 'Employer ID', key: 'employerId', width: 20 },
+        { header: 'Department', key: 'department', width: 20 },
+        { header: 'Site', key: 'site', width: 20 },
+        { header: 'Geofence', key: 'geofence', width: 12 },
+        { header: 'Distance Outside (m)', key: 'distance', width: 20 },
+        { header: 'Face Match', key: 'faceScore', width: 12 },
+        { header: 'Face Status', key: 'faceStatus', width: 15 },
+        { header: 'Liveness', key: 'liveness', width: 12 },
+        { header: 'HR Review', key: 'review', width: 30 },
+        { header: 'Synced', key: 'synced', width: 25 },
+        { header: 'Photo', key: 'photo', width: 15 }
+    ]);
+    for await (const record of closingCursor(Attendance.find(attendanceQuery).sort({ timestamp: 1 }).cursor())) {
+        const row = punchSheet.addRow({
+            date: workDateOf(record),
+            time: formatTime(record.timestamp, recordZone(record), locale),
+            timeZone: recordZone(record),
+            punch: PUNCH_LABELS[record.punchType] || '',
+            loggerName: record.loggerName,
+            employerId: record.employerId,
+            department: departmentOf(record.employerId),
+            site: record.siteName || '',
+            geofence: record.geofenceStatus || '',
+            distance: record.distanceFromSite ?? '',
+            faceScore: record.faceMatchScore ?? '',
+            faceStatus: record.faceStatus || '',
+            liveness: (record.liveness && record.liveness.status) || '',
+            review: reviewNote(record),
+            synced: syncedLateLabel(record, locale),
+            photo: { text: 'View Photo', hyperlink: record.photoUrl }
+        });
+        // Punches HR should look at stand out in red
+        if (record.reviewReasons && record.reviewReasons.length) {
+            row.font = { color: { argb: 'FFC00000' } };
+        }
+        row.commit();
+        await waitForDrain(res);
+    }
+    punchSheet.commit();
+
+    // Sheet 2: one row per employee per day. Monthly totals are small (employees x months)
+    // so they are collected here and written as sheet 3.
+    const dailySheet = addReportSheet(workbook, 'Daily Summary', [
+        { header: 'Date', key: 'date', width: 15 },
+        { header: 'Logger Name', key: 'loggerName', width: 25 },
+        { header: 'Employer ID', key: 'employerId', width: 20 },
+        { header: 'Department', key: 'department', width: 20 },
+        { header: 'First In', key: 'firstIn', width: 15 },
+        { header: 'Last Out', key: 'lastOut', width: 15 },
+        { header: 'Shifts', key: 'shiftCount', width: 10 },
+        { header: 'Hours Worked', key: 'hours', width: 14 },
+        { header: 'Status', key: 'status', width: 28 }
+    ]);
+    const monthlyTotals = [];
+    // Overtime is small too (employees x pay periods) and comes from the same shifts
+    const overtimePolicy = await getOvertimePolicy();
+    // Weekly overtime depends on the whole week, so shifts are read from the start of the
+    // first week to the end of the last; only the days in the range are reported
+    const inRange = (dayKey) => (!from || dayKey >= from) && (!to || dayKey <= to);
+    const weeksFrom = from && weekStartOf(from, overtimePolicy.weekStartsOn);
+    const weeksTo = to && addDays(weekStartOf(to, overtimePolicy.weekStartsOn), 6);
+    const shiftQuery = { ...attendanceQuery };
+    if (attendanceQuery.timestamp) {
+        shiftQuery.timestamp = {};
+        if (weeksFrom) shiftQuery.timestamp.$gte = zonedDayStart(weeksFrom);
+        if (weeksTo) shiftQuery.timestamp.$lt = zonedDayStart(nextDayKey(weeksTo));
+    }
+    const holidayOn = await loadHolidayCalendar(weeksFrom, weeksTo);
+    const overtimeTotals = [];
+    await forEachEmployeeShifts(shiftQuery, async (employerId, weekShifts) => {
+        const site = (usersById.get(employerId) || {}).site;
+        overtimeTotals.push(...computeOvertime(weekShifts, overtimePolicy, dayKey => Boolean(holidayOn(dayKey, site)), inRange));
+        const shifts = weekShifts.filter(shift => inRange(shift.dayKey));
+        const days = summarizeDays(shifts);
+        for (const day of days) {
+            dailySheet.addRow({
+                date: day.dayKey,
+                loggerName: day.loggerName,
+                employerId: day.employerId,
+                department: departmentOf(day.employerId),
+                firstIn: day.firstIn ? formatTime(day.firstIn, day.timeZone, locale) : '',
+                lastOut: day.lastOut ? formatTime(day.lastOut, day.timeZone, locale) : '',
+                shiftCount: day.shiftCount,
+                hours: toHours(day.workedMs),
+                status: day.incomplete ? `${day.incomplete} incomplete shift(s)` : 'Complete'
+            }).commit();
+            await waitForDrain(res);
+        }
+        monthlyTotals.push(...summarizeMonths(days));
+    });
+    dailySheet.commit();
+
+    // Sheet 3: totals per employee per month
+    const monthlySheet = addReportSheet(workbook, 'Monthly Totals', [
+        { header: 'Month', key: 'month', width: 12 },
+        { header: 'Logger Name', key: 'loggerName', width: 25 },
+        { header: 'Employer ID', key: 'employerId', width: 20 },
+        { header: 'Department', key: 'department', width: 20 },
+        { header: 'Days Worked', key: 'daysWorked', width: 14 },
+        { header: 'Total Hours', key: 'hours', width: 14 },
+        { header: 'Incomplete Shifts', key: 'incomplete', width: 18 }
+    ]);
+    monthlyTotals
+        .sort((a, b) => a.month.localeCompare(b.month) || a.employerId.localeCompare(b.employerId))
+        .forEach(total => monthlySheet.addRow({
+            month: total.month,
+            loggerName: total.loggerName,
+            employerId: total.employerId,
+            department: departmentOf(total.employerId),
+            daysWorked: total.daysWorked,
+            hours: toHours(total.workedMs),
+            incomplete: total.incomplete
+        }).commit());
+    monthlySheet.commit();
+
+    // Sheet 4: leave overlapping the period
+    const leaveSheet = addReportSheet(workbook, 'Leave', [
+        { header: 'Logger Name', key: 'loggerName', width: 25 },
+        { header: 'Employer ID', key: 'employerId', width: 20 },
+        { header: 'Department', key: 'department', width: 20 },
+        { header: 'Leave Type', key: 'leaveType', width: 14 },
+        { header: 'Start', key: 'start', width: 12 },
+        { header: 'End', key: 'end', width: 12 },
+        { header: 'Days', key: 'days', width: 8 },
+        { header: 'Status', key: 'status', width: 12 },
+        { header: 'Decided By', key: 'decidedBy', width: 25 },
+        { header: 'Reason', key: 'reason', width: 40 }
+    ]);
+    for await (const leave of closingCursor(Leave.find(leaveQuery).sort({ startDate: 1 }).cursor())) {
+        leaveSheet.addRow({
+            loggerName: leave.loggerName,
+            employerId: leave.employerId,
+            department: departmentOf(leave.employerId),
+            leaveType: leave.leaveType,
+            start: toDayKey(leave.startDate),
+            end: toDayKey(leave.endDate),
+            days: leave.days ?? '',
+            status: leave.status,
+            decidedBy: leave.decidedByName || '',
+            reason: leave.reason || ''
+        }).commit();
+        await waitForDrain(res);
+    }
+    leaveSheet.commit();
+
+    // Sheet 5: each rostered day against the assigned shift, up to today
+    const statusSheet = addReportSheet(workbook, 'Shift Status', [
+        { header: 'Date', key: 'date', width: 12 },
+        { header: 'Logger Name', key: 'loggerName', width: 25 },
+        { header: 'Employer ID', key: 'employerId', width: 20 },
+        { header: 'Department', key: 'department', width: 20 },
+        { header: 'Shift', key: 'shift', width: 15 },
+        { header: 'Scheduled', key: 'scheduled', width: 25 },
+        { header: 'First In', key: 'firstIn', width: 15 },
+        { header: 'Last Out', key: 'lastOut', width: 15 },
+        { header: 'Scheduled Hours', key: 'scheduledHours', width: 16 },
+        { header: 'Hours Worked', key: 'hours', width: 14 },
+        { header: 'Late (min)', key: 'late', width: 11 },
+        { header: 'Early Leave (min)', key: 'early', width: 17 },
+        { header: 'Status', key: 'status', width: 40 }
+    ]);
+    const today = dayKeyInZone(new Date());
+    const firstAssignment = from ? null : await ShiftAssignment.findOne(selectedIds ? { employerId: { $in: selectedIds } } : {}).sort({ startDate: 1 });
+    const statusFrom = from || (firstAssignment && firstAssignment.startDate);
+    const statusTo = to && to < today ? to : today;
+    if (statusFrom && statusFrom <= statusTo) {
+        const context = await loadScheduleContext(selectedIds, statusFrom, statusTo);
+        for (const employerId of context.employerIds) {
+            const user = usersById.get(employerId);
+            for (const day of await evaluateEmployeeSchedule(context, employerId, statusFrom, statusTo)) {
+                const row = statusSheet.addRow({
+                    date: day.dayKey,
+                    loggerName: user ? user.name : '',
+                    employerId,
+                    department: departmentOf(employerId),
+                    shift: day.shiftName,
+                    scheduled: `${formatTime(day.scheduledStart, day.timeZone, locale)} - ${formatTime(day.scheduledEnd, day.timeZone, locale)}`,
+                    firstIn: day.firstIn ? formatTime(day.firstIn, day.timeZone, locale) : '',
+                    lastOut: day.lastOut ? formatTime(day.lastOut, day.timeZone, locale) : '',
+                    scheduledHours: toHours(day.scheduledMs),
+                    hours: toHours(day.workedMs),
+                    late: day.lateMinutes || '',
+                    early: day.earlyLeaveMinutes || '',
+                    status: day.label
+                });
+                if (['absent', 'late', 'early-leave', 'incomplete'].includes(day.status)) {
+                    row.font = { color: { argb: 'FFC00000' } };
+                }
+                row.commit();
+                await waitForDrain(res);
+            }
+        }
+    }
+    statusSheet.commit();
+
+    // Sheet 6: hours per rate band per employee per pay period
+    const rate = (multiplier) => `${multiplier}x`;
+    const overtimeSheet = addReportSheet(workbook, 'Overtime', [
+        { header: 'Pay Period', key: 'period', width: 26 },
+        { header: 'Logger Name', key: 'loggerName', width: 25 },
+        { header: 'Employer ID', key: 'employerId', width: 20 },
+        { header: 'Department', key: 'department', width: 20 },
+        { header: 'Regular Hours', key: 'regular', width: 15 },
+        { header: `OT Hours (${rate(overtimePolicy.overtimeMultiplier)})`, key: 'overtime', width: 16 },
+        { header: `Weekend Hours (${rate(overtimePolicy.weekendMultiplier)})`, key: 'weekend', width: 20 },
+        { header: `Holiday Hours (${rate(overtimePolicy.holidayMultiplier)})`, key: 'holiday', width: 20 },
+        { header: `Night Hours (+${rate(overtimePolicy.nightPremium)})`, key: 'night', width: 20 },
+        { header: 'Total Hours', key: 'total', width: 13 },
+        { header: 'Paid Hours (base rate)', key: 'paid', width: 22 }
+    ]);
+    overtimeTotals
+        .sort((a, b) => a.periodStart.localeCompare(b.periodStart) || a.employerId.localeCompare(b.employerId))
+        .forEach(total => overtimeSheet.addRow({
+            period: overtimePolicy.payPeriod === 'monthly' ? total.period : `${total.periodStart} to ${total.periodEnd}`,
+            loggerName: total.loggerName,
+            employerId: total.employerId,
+            department: departmentOf(total.employerId),
+            regular: toHours(total.regularMs),
+            overtime: toHours(total.overtimeMs),
+            weekend: toHours(total.weekendMs),
+            holiday: toHours(total.holidayMs),
+            night: toHours(total.nightMs),
+            total: toHours(total.totalMs),
+            paid: toHours(total.paidMs)
+        }).commit());
+    overtimeSheet.commit();
+
+    await workbook.commit();
+};
+
+// CSV: one line per punch, streamed from a cursor so memory stays flat on large collections
+const writeCsvReport = async (res, { attendanceQuery, departmentOf, label, locale }) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="attendance_report_${label}.csv"`);
+    res.write(csvLine(['Date', 'Time', 'Time Zone', 'Punch', 'Logger Name', 'Employer ID', 'Department', 'Site', 'Geofence', 'Distance Outside (m)', 'Face Match', 'Face Status', 'Liveness', 'HR Review', 'Synced', 'Photo URL']));
+
+    const cursor = Attendance.find(attendanceQuery).sort({ timestamp: 1 }).cursor();
+    for await (const record of closingCursor(cursor)) {
+        const line = csvLine([
+            workDateOf(record),
+            formatTime(record.timestamp, recordZone(record), locale),
+            recordZone(record),
+            record.punchType || '',
+            record.loggerName,
+            record.employerId,
+            departmentOf(record.employerId),
+            record.siteName || '',
+            record.geofenceStatus || '',
+            record.distanceFromSite ?? '',
+            record.faceMatchScore ?? '',
+            record.faceStatus || '',
+            (record.liveness && record.liveness.status) || '',
+            reviewNote(record),
+            syncedLateLabel(record, locale),
+            record.photoUrl
+        ]);
+        // Respect back-pressure so a slow download does not buffer the whole collection
+        if (!res.write(line)) await waitForDrain(res);
+    }
+    res.end();
+};
+
+// PDF: one printable timesheet page per employee per month, with sign-off lines.
+// Punches are walked one employee at a time, like the Excel daily summary.
+const writePdfTimesheets = async (res, { attendanceQuery, usersById, label, locale }) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="attendance_timesheets_${label}.pdf"`);
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    doc.pipe(res);
+
+    let pageCount = 0;
+    await forEachEmployeeShifts(attendanceQuery, async (employerId, shifts) => {
+        const timesheets = new Map();
+        summarizeDays(shifts).forEach(day => {
+            const month = day.dayKey.slice(0, 7);
+            if (!timesheets.has(month)) {
+                timesheets.set(month, { employerId, loggerName: day.loggerName, month, days: [] });
+            }
+            timesheets.get(month).days.push(day);
+        });
+        for (const timesheet of timesheets.values()) {
+            if (pageCount++ > 0) doc.addPage();
+            drawTimesheet(doc, timesheet, usersById.get(employerId), locale);
+            await waitForDrain(res);
+        }
+    });
+
+    if (!pageCount) {
+        doc.fontSize(14).text('No attendance found for the selected filters.');
+    }
+    doc.end();
+    await waitForResponse(res, 'finish');
+};
+
+const TIMESHEET_COLUMNS = [
+    { header: 'Date', x: 50 },
+    { header: 'First In', x: 140 },
+    { header: 'Last Out', x: 240 },
+    { header: 'Hours', x: 340 },
+    { header: 'Status', x: 400 }
+];
+
+const drawTimesheetHeader = (doc, timesheet, user) => {
+    doc.fontSize(18).font('Helvetica-Bold').text('EPPI Monthly Timesheet', 50, 50);
+    doc.moveDown(0.5).fontSize(11).font('Helvetica');
+    doc.text(`Employee: ${timesheet.loggerName} (${timesheet.employerId})`);
+    doc.text(`Department: ${(user && user.department) || '-'}`);
+    doc.text(`Month: ${timesheet.month}`);
+    doc.moveDown();
+
+    const y = doc.y;
+    doc.font('Helvetica-Bold');
+    TIMESHEET_COLUMNS.forEach(column => doc.text(column.header, column.x, y));
+    doc.moveTo(50, y + 15).lineTo(545, y + 15).stroke();
+    doc.font('Helvetica').y = y + 22;
+};
+
+const drawTimesheet = (doc, timesheet, user, locale) => {
+    drawTimesheetHeader(doc, timesheet, user);
+
+    let totalMs = 0;
+    timesheet.days.forEach(day => {
+        // Leave room for the totals and signature block on the last page
+        if (doc.y > doc.page.height - 200) {
+            doc.addPage();
+            drawTimesheetHeader(doc, timesheet, user);
+        }
+        const y = doc.y;
+        const values = [
+            // A printed timesheet is read, not imported, so its dates follow the viewer's locale too
+            formatDate(new Date(`${day.dayKey}T00:00:00Z`), 'UTC', locale),
+            day.firstIn ? formatTime(day.firstIn, day.timeZone, locale) : '-',
+            day.lastOut ? formatTime(day.lastOut, day.timeZone, locale) : '-',
+            toHours(day.workedMs).toFixed(2),
+            day.incomplete ? 'Incomplete' : 'Complete'
+        ];
+        TIMESHEET_COLUMNS.forEach((column, i) => doc.text(values[i], column.x, y));
+        doc.y = y + 16;
+        totalMs += day.workedMs;
+    });
+
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.5).font('Helvetica-Bold');
+    doc.text(`Days Worked: ${timesheet.days.filter(day => day.workedMs > 0).length}`, 50);
+    doc.text(`Total Hours: ${toHours(totalMs).toFixed(2)}`, 50);
+
+    doc.font('Helvetica').moveDown(3);
+    const signY = doc.y;
+    doc.text('Employee Signature: ______________________', 50, signY);
+    doc.text('Date: ____________', 380, signY);
+    doc.text('Supervisor Signature: ____________________', 50, signY + 40);
+    doc.text('Date: ____________', 380, signY + 40);
+};
+
+// API 5: Attendance Report Generation (Access Restricted to Supervisor/HR/Admin)
+// Optional filters: ?from=YYYY-MM-DD&to=YYYY-MM-DD&month=YYYY-MM&employerIds=EPPI-100,EPPI-101&department=Sales
+// Formats: ?format=xlsx (default), csv or pdf (monthly timesheets). All formats share the same filters.
+const REPORT_WRITERS = { xlsx: writeExcelReport, csv: writeCsvReport, pdf: writePdfTimesheets };
+
+app.get('/api/attendance/report', requireAuth, requirePermission('report:download'), async (req, res) => {
+    try {
+        const writeReport = REPORT_WRITERS[req.query.format || 'xlsx'];
+        if (!writeReport) {
+            return res.status(400).send(`Format must be one of: ${Object.keys(REPORT_WRITERS).join(', ')}.`);
+        }
+        const filters = await buildReportFilters(req.query);
+        if (filters.error) {
+            return res.status(400).send(filters.error);
+        }
+        await writeReport(res, { ...filters, locale: viewerLocale(req.user) });
+
+    } catch (error) {
+        if (error.code === DOWNLOAD_ABORTED) return;
+        console.error('Report generation error:', error);
+        // Once streaming has started the status can no longer change; cut the download short instead
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).send('Failed to generate report.');
+    }
+});
+
+// API 6: Admin - List and search Users
+// Optional: ?q= (matches name, employer ID, username or email), ?status=active|inactive,
+// ?page= and ?limit= (every match is returned when no limit is given)
+app.get('/api/admin/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    const query = {};
+    const search = (req.query.q || '').trim();
+    if (search) {
+        const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ name: pattern }, { employerId: pattern }, { username: pattern }, { email: pattern }];
+    }
+    if (req.query.status === 'active') query.active = { $ne: false };
+    if (req.query.status === 'inactive') query.active = false;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 0, 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    try {
+        let users = User.find(query, 'name employerId username jobTitle department contactNumber email role site active deactivatedAt mustChangePassword twoFactorEnabledAt')
+            .sort({ employerId: 1 });
+        if (limit) users = users.skip((page - 1) * limit).limit(limit);
+        const [list, total] = await Promise.all([users, User.countDocuments(query)]);
+        const sites = (await Site.find({}, 'name').sort({ name: 1 })).map(site => site.name);
+        res.json({ 
+            success: true, 
+            roles: ROLES, 
+            sites, 
+            users: list, 
+            total, 
+            page: limit ? page : 1, 
+            pages: limit ? Math.max(Math.ceil(total / limit), 1) : 1 
+        });
+    } catch (error) {
+        console.error('User list error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading users.' });
+    }
+});
+
+// API 7: Admin - Assign a role to a user
+app.put('/api/admin/users/:employerId/role', requireAuth, requirePermission('users:assign-roles'), async (req, res) => {
+    const { employerId } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(', ')}.` });
+    }
+    if (employerId === req.user.employerId && role !== 'admin') {
+        return res.status(400).json({ success: false, message: 'You cannot remove your own admin role.' });
+    }
+
+    try {
+        const user = await User.findOne({ employerId });
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        const changes = diffFields(user, { role });
+        user.role = role;
+        await user.save();
+        await recordAudit(req.user, 'user.role', employerId, changes);
+        res.json({ success: true, message: `${user.name} is now ${role}.` });
+    } catch (error) {
+        console.error('Role assignment error:', error);
+        res.status(500).json({ success: false, message: 'Server error while assigning role.' });
+    }
+});
+
+// API 8: Admin - List Work Sites
+app.get('/api/admin/sites', requireAuth, requirePermission('sites:manage'), async (req, res) => {
+    try {
+        const sites = await Site.find({}).sort({ name: 1 });
+        res.json({ success: true, geofenceMode: GEOFENCE_MODE, organisationTimeZone: TIME_ZONE, sites });
+    } catch (error) {
+        console.error('Site list error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading sites.' });
+    }
+});
+
+// API 9: Admin - Create a Work Site
+app.post('/api/admin/sites', requireAuth, requirePermission('sites:manage'), async (req, res) => {
+    const { name, shape, center, radiusMeters, polygon } = req.body;
+    const timeZone = req.body.timeZone || undefined;
+    if (!name) {
+        return res.status(400).json({ success: false, message: 'Site name is required.' });
+    }
+    const shapeError = validateSiteShape(req.body);
+    if (shapeError) {
+        return res.status(400).json({ success: false, message: shapeError });
+    }
+    if (timeZone && !isValidTimeZone(timeZone)) {
+        return res.status(400).json({ success: false, message: `'${timeZone}' is not a valid IANA time zone (e.g. 'Asia/Dubai').` });
+    }
+
+    try {
+        if (await Site.exists({ name })) {
+            return res.status(409).json({ success: false, message: 'A site with that name already exists.' });
+        }
+        const site = await Site.create(shape === 'circle'
+            ? { name, shape, center, radiusMeters, timeZone }
+            : { name, shape, polygon, timeZone });
+        res.json({ success: true, message: `Site '${name}' created.`, site });
+    } catch (error) {
+        console.error('Site create error:', error);
+        res.status(500).json({ success: false, message: 'Server error while creating the site.' });
+    }
+});
+
+// API 10: Admin - Update a Work Site (name, shape, boundary, time zone or active flag).
+// A new time zone applies to punches from now on; saved punches keep the zone they were made in.
+// Employees, holidays and invitations refer to a site by name, so a rename is carried over to
+// them; saved punches keep the name of the site they were checked against.
+app.put('/api/admin/sites/:id', requireAuth, requirePermission('sites:manage'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Site not found.' });
+    }
+
+    try {
+        const site = await Site.findById(req.params.id);
+        if (!site) {
+            return res.status(404).json({ success: false, message: 'Site not found.' });
+        }
+        const previousName = site.name;
+        ['name', 'shape', 'center', 'radiusMeters', 'polygon', 'active'].forEach(field => {
+            if (req.body[field] !== undefined) site[field] = req.body[field];
+        });
+        if (req.body.timeZone !== undefined) site.timeZone = req.body.timeZone || undefined;
+        const shapeError = validateSiteShape(site);
+        if (shapeError) {
+            return res.status(400).json({ success: false, message: shapeError });
+        }
+        if (site.timeZone && !isValidTimeZone(site.timeZone)) {
+            return res.status(400).json({ success: false, message: `'${site.timeZone}' is not a valid IANA time zone (e.g. 'Asia/Dubai').` });
+        }
+        const renamed = site.name !== previousName;
+        if (renamed && !site.name) {
+            return res.status(400).json({ success: false, message: 'Site name is required.' });
+        }
+        if (renamed && await Site.exists({ _id: { $ne: site._id }, name: site.name })) {
+            return res.status(409).json({ success: false, message: 'A site with that name already exists.' });
+        }
+        await site.save();
+        if (renamed) {
+            const rename = { $set: { site: site.name } };
+            await Promise.all([
+                User.updateMany({ site: previousName }, rename),
+                Holiday.updateMany({ site: previousName }, rename),
+                Invitation.updateMany({ site: previousName }, rename)
+            ]);
+        }
+        res.json({ success: true, message: renamed ? `Site '${previousName}' renamed to '${site.name}'.` : `Site '${site.name}' updated.`, site });
+    } catch (error) {
+        console.error('Site update error:', error);
+        res.status(500).json({ success: false, message: 'Server error while updating the site.' });
+    }
+});
+
+// API 11: Admin - Delete a Work Site (past punches keep the site name they were checked against)
+app.delete('/api/admin/sites/:id', requireAuth, requirePermission('sites:manage'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Site not found.' });
+    }
+
+    try {
+        const site = await Site.findByIdAndDelete(req.params.id);
+        if (!site) {
+            return res.status(404).json({ success: false, message: 'Site not found.' });
+        }
+        res.json({ success: true, message: `Site '${site.name}' deleted.` });
+    } catch (error) {
+        console.error('Site delete error:', error);
+        res.status(500).json({ success: false, message: 'Server error while deleting the site.' });
+    }
+});
+
+// API 12: Shifts - List Shift Definitions (HR/Admin)
+app.get('/api/shifts', requireAuth, requirePermission('shifts:manage'), async (req, res) => {
+    try {
+        const shifts = await Shift.find({}).sort({ startTime: 1, name: 1 });
+        res.json({ success: true, shifts });
+    } catch (error) {
+        console.error('Shift list error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading shifts.' });
+    }
+});
+
+// API 13: Shifts - Create a Shift
+app.post('/api/shifts', requireAuth, requirePermission('shifts:manage'), async (req, res) => {
+    const validationError = validateShift(req.body);
+    if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+    }
+    const { name, startTime, endTime, graceMinutes, breakMinutes, days } = req.body;
+
+    try {
+        if (await Shift.exists({ name })) {
+            return res.status(409).json({ success: false, message: 'A shift with that name already exists.' });
+        }
+        const shift = await Shift.create({ name, startTime, endTime, graceMinutes, breakMinutes, days });
+        res.json({ success: true, message: `Shift '${name}' created.`, shift });
+    } catch (error) {
+        console.error('Shift create error:', error);
+        res.status(500).json({ success: false, message: 'Server error while creating the shift.' });
+    }
+});
+
+// API 14: Shifts - Update a Shift (applies to past and future days alike)
+app.put('/api/shifts/:id', requireAuth, requirePermission('shifts:manage'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Shift not found.' });
+    }
+
+    try {
+        const shift = await Shift.findById(req.params.id);
+        if (!shift) {
+            return res.status(404).json({ success: false, message: 'Shift not found.' });
+        }
+        ['name', 'startTime', 'endTime', 'graceMinutes', 'breakMinutes', 'days'].forEach(field => {
+            if (req.body[field] !== undefined) shift[field] = req.body[field];
+        });
+        const validationError = validateShift(shift.toObject());
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+        await shift.save();
+        res.json({ success: true, message: `Shift '${shift.name}' updated.`, shift });
+    } catch (error) {
+        console.error('Shift update error:', error);
+        res.status(500).json({ success: false, message: 'Server error while updating the shift.' });
+    }
+});
+
+// API 15: Shifts - Delete a Shift (only when no roster uses it)
+app.delete('/api/shifts/:id', requireAuth, requirePermission('shifts:manage'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Shift not found.' });
+    }
+
+    try {
+        if (await ShiftAssignment.exists({ shiftIds: req.params.id })) {
+            return res.status(409).json({ success: false, message: 'This shift is assigned to employees. Remove those assignments first.' });
+        }
+        const shift = await Shift.findByIdAndDelete(req.params.id);
+        if (!shift) {
+            return res.status(404).json({ success: false, message: 'Shift not found.' });
+        }
+        res.json({ success: true, message: `Shift '${shift.name}' deleted.` });
+    } catch (error) {
+        console.error('Shift delete error:', error);
+        res.status(500).json({ success: false, message: 'Server error while deleting the shift.' });
+    }
+});
+
+// API 16: Shifts - List Roster Assignments (optionally for one employee)
+app.get('/api/shifts/assignments', requireAuth, requirePermission('shifts:manage'), async (req, res) => {
+    try {
+        const query = req.query.employerId ? { employerId: req.query.employerId } : {};
+        const assignments = await ShiftAssignment.find(query).sort({ employerId: 1, startDate: -1 }).populate('shiftIds', 'name startTime endTime');
+        res.json({ success: true, assignments });
+    } catch (error) {
+        console.error('Shift assignment list error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading shift assignments.' });
+    }
+});
+
+// API 17: Shifts - Assign a Shift or Rotating Roster to one or more Employees
+app.post('/api/shifts/assignments', requireAuth, requirePermission('shifts:manage'), async (req, res) => {
+    const { shiftIds, startDate, endDate } = req.body;
+    const employerIds = (Array.isArray(req.body.employerIds) ? req.body.employerIds : [req.body.employerId])
+        .map(id => String(id || '').trim()).filter(Boolean);
+    const rotationDays = req.body.rotationDays === undefined ? 7 : Number(req.body.rotationDays);
+
+    if (!employerIds.length) {
+        return res.status(400).json({ success: false, message: 'Choose at least one employee.' });
+    }
+    if (!Array.isArray(shiftIds) || !shiftIds.length || !shiftIds.every(id => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ success: false, message: 'Choose at least one shift.' });
+    }
+    if (!Number.isInteger(rotationDays) || rotationDays < 1) {
+        return res.status(400).json({ success: false, message: 'Rotation length must be a whole number of days.' });
+    }
+    if (!DAY_KEY_PATTERN.test(startDate || '') || (endDate && !DAY_KEY_PATTERN.test(endDate))) {
+        return res.status(400).json({ success: false, message: 'Dates must be in YYYY-MM-DD format.' });
+    }
+    if (endDate && endDate < startDate) {
+        return res.status(400).json({ success: false, message: 'The end date must be on or after the start date.' });
+    }
+
+    try {
+        const found = await Shift.countDocuments({ _id: { $in: [...new Set(shiftIds)] } });
+        if (found !== new Set(shiftIds).size) {
+            return res.status(400).json({ success: false, message: 'One of the chosen shifts no longer exists.' });
+        }
+        const users = await User.find({ employerId: { $in: employerIds } }, 'employerId');
+        const unknown = employerIds.filter(id => !users.some(user => user.employerId === id));
+        if (unknown.length) {
+            return res.status(404).json({ success: false, message: `Unknown employer ID(s): ${unknown.join(', ')}` });
+        }
+
+        const assignments = await ShiftAssignment.insertMany(employerIds.map(employerId => ({
+            employerId, shiftIds, rotationDays, startDate, endDate: endDate || undefined, assignedBy: req.user.employerId
+        })));
+        res.json({ success: true, message: `Roster assigned to ${assignments.length} employee(s) from ${startDate}.`, assignments });
+    } catch (error) {
+        console.error('Shift assignment error:', error);
+        res.status(500).json({ success: false, message: 'Server error while assigning the roster.' });
+    }
+});
+
+// API 18: Shifts - Remove a Roster Assignment
+app.delete('/api/shifts/assignments/:id', requireAuth, requirePermission('shifts:manage'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Assignment not found.' });
+    }
+
+    try {
+        const assignment = await ShiftAssignment.findByIdAndDelete(req.params.id);
+        if (!assignment) {
+            return res.status(404).json({ success: false, message: 'Assignment not found.' });
+        }
+        res.json({ success: true, message: `Assignment for ${assignment.employerId} removed.` });
+    } catch (error) {
+        console.error('Shift assignment delete error:', error);
+        res.status(500).json({ success: false, message: 'Server error while removing the assignment.' });
+    }
+});
+
+// API 19: Admin - Overtime Rules
+app.get('/api/admin/overtime-policy', requireAuth, requirePermission('overtime:manage'), async (req, res) => {
+    try {
+        const policy = await getOvertimePolicy();
+        res.json({ success: true, policy, payPeriods: PAY_PERIODS, weekendDays: WEEKEND_DAYS });
+    } catch (error) {
+        console.error('Overtime policy load error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading the overtime rules.' });
+    }
+});
+
+// API 20: Admin - Update Overtime Rules (used by every report generated afterwards)
+app.put('/api/admin/overtime-policy', requireAuth, requirePermission('overtime:manage'), async (req, res) => {
+    const fields = [
+        'dailyThresholdHours', 'weeklyThresholdHours', 'weekStartsOn', 'overtimeMultiplier', 'weekendMultiplier',
+        'holidayMultiplier', 'nightStart', 'nightEnd', 'nightPremium', 'payPeriod', 'payPeriodAnchor'
+    ];
+    try {
+        const policy = await getOvertimePolicy();
+        fields.forEach(field => {
+            if (req.body[field] !== undefined) policy[field] = req.body[field];
+        });
+        const validationError = validateOvertimePolicy(policy);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+        policy.updatedBy = req.user.employerId;
+        policy.updatedAt = new Date();
+        await policy.save();
+        res.json({ success: true, message: 'Overtime rules saved.', policy });
+    } catch (error) {
+        console.error('Overtime policy update error:', error);
+        res.status(500).json({ success: false, message: 'Server error while saving the overtime rules.' });
+    }
+});
+
+// Checks a holiday's site against the configured work sites; null/'' means every site
+const resolveHolidaySite = async (site) => {
+    if (!site) return { site: null };
+    if (!(await Site.exists({ name: site }))) return { error: `Unknown site '${site}'.` };
+    return { site };
+};
+
+// API 21: Holidays - List (optionally one year and/or one site's calendar)
+app.get('/api/holidays', requireAuth, requirePermission('holidays:manage'), async (req, res) => {
+    const query = {};
+    if (/^\d{4}$/.test(req.query.year || '')) {
+        query.date = { $gte: `${req.query.year}-01-01`, $lte: `${req.query.year}-12-31` };
+    }
+    if (req.query.site !== undefined) query.site = req.query.site || null;
+
+    try {
+        const holidays = await Holiday.find(query).sort({ date: 1, site: 1 });
+        const sites = (await Site.find({}, 'name').sort({ name: 1 })).map(site => site.name);
+        res.json({ success: true, holidays, sites });
+    } catch (error) {
+        console.error('Holiday list error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading holidays.' });
+    }
+});
+
+// API 22: Holidays - Add a Holiday
+app.post('/api/holidays', requireAuth, requirePermission('holidays:manage'), async (req, res) => {
+    const { date } = req.body;
+    const name = (req.body.name || '').trim();
+    if (!DAY_KEY_PATTERN.test(date || '') || !name) {
+        return res.status(400).json({ success: false, message: 'A holiday needs a name and a date in YYYY-MM-DD format.' });
+    }
+
+    try {
+        const { site, error } = await resolveHolidaySite(req.body.site);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (await Holiday.exists({ date, site })) {
+            return res.status(409).json({ success: false, message: `${date} is already a holiday${site ? ` at ${site}` : ''}.` });
+        }
+        const holiday = await Holiday.create({ date, name, site });
+        res.json({ success: true, message: `'${name}' added on ${date}.`, holiday });
+    } catch (error) {
+        console.error('Holiday create error:', error);
+        res.status(500).json({ success: false, message: 'Server error while adding the holiday.' });
+    }
+});
+
+// API 23: Holidays - Update a Holiday (leave already requested keeps its day count)
+app.put('/api/holidays/:id', requireAuth, requirePermission('holidays:manage'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Holiday not found.' });
+    }
+
+    try {
+        const holiday = await Holiday.findById(req.params.id);
+        if (!holiday) {
+            return res.status(404).json({ success: false, message: 'Holiday not found.' });
+        }
+        if (req.body.date !== undefined) holiday.date = req.body.date;
+        if (req.body.name !== undefined) holiday.name = String(req.body.name).trim();
+        if (req.body.site !== undefined) {
+            const { site, error } = await resolveHolidaySite(req.body.site);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+            holiday.site = site;
+        }
+        if (!DAY_KEY_PATTERN.test(holiday.date) || !holiday.name) {
+            return res.status(400).json({ success: false, message: 'A holiday needs a name and a date in YYYY-MM-DD format.' });
+        }
+        if (await Holiday.exists({ _id: { $ne: holiday._id }, date: holiday.date, site: holiday.site })) {
+            return res.status(409).json({ success: false, message: `${holiday.date} is already a holiday${holiday.site ? ` at ${holiday.site}` : ''}.` });
+        }
+        await holiday.save();
+        res.json({ success: true, message: `'${holiday.name}' updated.`, holiday });
+    } catch (error) {
+        console.error('Holiday update error:', error);
+        res.status(500).json({ success: false, message: 'Server error while updating the holiday.' });
+    }
+});
+
+// API 24: Holidays - Delete a Holiday
+app.delete('/api/holidays/:id', requireAuth, requirePermission('holidays:manage'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Holiday not found.' });
+    }
+
+    try {
+        const holiday = await Holiday.findByIdAndDelete(req.params.id);
+        if (!holiday) {
+            return res.status(404).json({ success: false, message: 'Holiday not found.' });
+        }
+        res.json({ success: true, message: `'${holiday.name}' on ${holiday.date} deleted.` });
+    } catch (error) {
+        console.error('Holiday delete error:', error);
+        res.status(500).json({ success: false, message: 'Server error while deleting the holiday.' });
+    }
+});
+
+// API 25: Holidays - Import an iCalendar (.ics) file into the organisation or one site's calendar.
+// Existing holidays on the same day and calendar are renamed rather than duplicated.
+app.post('/api/holidays/import', requireAuth, requirePermission('holidays:manage'), upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: 'Please choose an .ics file to import.' });
+    }
+    const entries = parseIcsHolidays(req.file.buffer.toString('utf8'));
+    if (!entries.length) {
+        return res.status(400).json({ success: false, message: 'No events with a date and a title were found in the file.' });
+    }
+
+    try {
+        const { site, error } = await resolveHolidaySite(req.body.site);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        const result = await Holiday.bulkWrite(entries.map(entry => ({
+            updateOne: {
+                filter: { date: entry.date, site },
+                update: { $set: { name: entry.name } },
+                upsert: true
+            }
+        })));
+        res.json({ 
+            success: true, 
+            message: `Imported ${entries.length} holiday day(s): ${result.upsertedCount} new, ${result.modifiedCount} renamed.` 
+        });
+    } catch (error) {
+        console.error('Holiday import error:', error);
+        res.status(500).json({ success: false, message: 'Server error while importing holidays.' });
+    }
+});
+
+// API 26: Admin - Set an employee's work site (decides which holiday calendar applies)
+app.put('/api/admin/users/:employerId/site', requireAuth, requirePermission('sites:manage'), async (req, res) => {
+    try {
+        const { site, error } = await resolveHolidaySite(req.body.site);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        const user = await User.findOne({ employerId: req.params.employerId });
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        const changes = diffFields(user, { site });
+        user.site = site || undefined;
+        await user.save();
+        await recordAudit(req.user, 'user.site', user.employerId, changes);
+        res.json({ success: true, message: site ? `${user.name} now works at ${site}.` : `${user.name} has no site.` });
+    } catch (error) {
+        console.error('User site error:', error);
+        res.status(500).json({ success: false, message: 'Server error while setting the site.' });
+    }
+});
+
+// --- Employee Account Management (HR/Admin) ---
+// Every change is written to the AuditLog. Accounts can only be managed by a higher
+// role, so HR cannot take over a fellow HR account; admins manage every account.
+const EDITABLE_USER_FIELDS = ['name', 'jobTitle', 'contactNumber', 'email'];
+
+// True when `manager` is above `role` in ROLES; the top role outranks everyone
+const outranks = (manager, role) => manager === ROLES[ROLES.length - 1] || ROLES.indexOf(manager) > ROLES.indexOf(role);
+
+// Loads the account named in the URL, or sends the 404/403 and returns null
+const loadManagedUser = async (req, res) => {
+    const user = await User.findOne({ employerId: req.params.employerId });
+    if (!user) {
+        res.status(404).json({ success: false, message: 'User not found.' });
+        return null;
+    }
+    if (!outranks(req.user.role, user.role)) {
+        res.status(403).json({ success: false, message: `Only an admin can change ${user.role} accounts.` });
+        return null;
+    }
+    return user;
+};
+
+// A readable one-time password for an admin reset (12 characters, no look-alike letters)
+const generateTemporaryPassword = () => {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+    return Array.from({ length: 12 }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+};
+
+// API 27: Admin - Edit an Employee's details
+app.put('/api/admin/users/:employerId', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    const updates = {};
+    EDITABLE_USER_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) updates[field] = String(req.body[field]).trim();
+    });
+    if (updates.name === '') {
+        return res.status(400).json({ success: false, message: 'Name cannot be empty.' });
+    }
+    if (updates.email && !EMAIL_PATTERN.test(updates.email)) {
+        return res.status(400).json({ success: false, message: 'Please enter a valid email address.' });
+    }
+
+    try {
+        const user = await loadManagedUser(req, res);
+        if (!user) return;
+        const changes = diffFields(user, updates);
+        if (!Object.keys(changes).length) {
+            return res.json({ success: true, message: 'Nothing to change.' });
+        }
+        Object.keys(changes).forEach(field => {
+            user[field] = updates[field] || undefined;
+        });
+        await user.save();
+        await recordAudit(req.user, 'user.update', user.employerId, changes);
+        res.json({ success: true, message: `${user.name}'s details updated.` });
+    } catch (error) {
+        console.error('User update error:', error);
+        res.status(500).json({ success: false, message: 'Server error while updating the employee.' });
+    }
+});
+
+// API 28: Admin - Deactivate an Employee (blocks login and punches; attendance and leave history stay)
+app.post('/api/admin/users/:employerId/deactivate', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    if (req.params.employerId === req.user.employerId) {
+        return res.status(400).json({ success: false, message: 'You cannot deactivate your own account.' });
+    }
+    try {
+        const user = await loadManagedUser(req, res);
+        if (!user) return;
+        if (user.active === false) {
+            return res.status(409).json({ success: false, message: `${user.name} is already deactivated.` });
+        }
+        user.active = false;
+        user.deactivatedAt = new Date();
+        user.deactivatedBy = req.user.employerId;
+        await user.save();
+        await endSessions(user.employerId);
+        await recordAudit(req.user, 'user.deactivate', user.employerId);
+        res.json({ success: true, message: `${user.name} has been deactivated and logged out everywhere.` });
+    } catch (error) {
+        console.error('User deactivate error:', error);
+        res.status(500).json({ success: false, message: 'Server error while deactivating the employee.' });
+    }
+});
+
+// API 29: Admin - Reactivate an Employee
+app.post('/api/admin/users/:employerId/reactivate', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const user = await loadManagedUser(req, res);
+        if (!user) return;
+        if (user.active !== false) {
+            return res.status(409).json({ success: false, message: `${user.name} is already active.` });
+        }
+        user.active = true;
+        user.deactivatedAt = undefined;
+        user.deactivatedBy = undefined;
+        await user.save();
+        await recordAudit(req.user, 'user.reactivate', user.employerId);
+        res.json({ success: true, message: `${user.name} has been reactivated.` });
+    } catch (error) {
+        console.error('User reactivate error:', error);
+        res.status(500).json({ success: false, message: 'Server error while reactivating the employee.' });
+    }
+});
+
+// API 30: Admin - Force a Password Reset. The temporary password is returned once, for the
+// admin to hand over; the employee must replace it at their next login.
+app.post('/api/admin/users/:employerId/reset-password', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    if (req.params.employerId === req.user.employerId) {
+        return res.status(400).json({ success: false, message: 'Use Change Password to change your own password.' });
+    }
+    try {
+        const user = await loadManagedUser(req, res);
+        if (!user) return;
+        const temporaryPassword = generateTemporaryPassword();
+        user.password = await hashPassword(temporaryPassword);
+        user.mustChangePassword = true;
+        user.loginFailuresClearedAt = new Date();
+        await user.save();
+        await endSessions(user.employerId);
+        await recordAudit(req.user, 'user.password-reset', user.employerId);
+        res.json({ 
+            success: true, 
+            message: `Password reset. Give ${user.name} the temporary password below; they must change it when they log in.`,
+            temporaryPassword 
+        });
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({ success: false, message: 'Server error while resetting the password.' });
+    }
+});
+
+// API 30b: Admin - Reset Two-Factor Authentication, for an employee who lost their phone
+// and backup codes. They are logged out, and must enrol again if their role requires it.
+app.post('/api/admin/users/:employerId/reset-2fa', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    if (req.params.employerId === req.user.employerId) {
+        return res.status(400).json({ success: false, message: 'You cannot reset your own two-factor authentication.' });
+    }
+    try {
+        const user = await loadManagedUser(req, res);
+        if (!user) return;
+        if (!user.twoFactorEnabledAt) {
+            return res.status(400).json({ success: false, message: `${user.name} does not use two-factor authentication.` });
+        }
+        await User.updateOne({ _id: user._id }, { 
+            $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorEnabledAt: 1, twoFactorBackupCodes: 1, twoFactorLastStep: 1 } 
+        });
+        await endSessions(user.employerId);
+        await recordAudit(req.user, 'user.2fa-reset', user.employerId);
+        res.json({ success: true, message: `Two-factor authentication reset for ${user.name}.` });
+    } catch (error) {
+        console.error('Two-factor reset error:', error);
+        res.status(500).json({ success: false, message: 'Server error while resetting two-factor authentication.' });
+    }
+});
+
+// API 31: Admin - Change History of an Employee account (newest first)
+app.get('/api/admin/users/:employerId/audit', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const entries = await AuditLog.find({ targetId: req.params.employerId }).sort({ at: -1 }).limit(100);
+        res.json({ success: true, entries });
+    } catch (error) {
+        console.error('Audit log error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading the change history.' });
+    }
+});
+
+// API 31b: Admin - Login History of an Employee account (newest first)
+app.get('/api/admin/users/:employerId/logins', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const logins = await LoginAudit.find({ employerId: req.params.employerId }).sort({ at: -1 }).limit(50);
+        res.json({ success: true, logins });
+    } catch (error) {
+        console.error('Login history error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading the login history.' });
+    }
+});
+
+// --- Bulk Employee Import & Export ---
+// Columns of the employee spreadsheet. The export uses the same headers, so an exported
+// file (or the empty template) can be filled in and imported again.
+const EMPLOYEE_COLUMNS = [
+    { header: 'Employer ID', key: 'employerId', width: 15 },
+    { header: 'Name', key: 'name', width: 25 },
+    { header: 'Username', key: 'username', width: 18 },
+    { header: 'Email', key: 'email', width: 28 },
+    { header: 'Job Title', key: 'jobTitle', width: 20 },
+    { header: 'Department', key: 'department', width: 18 },
+    { header: 'Contact Number', key: 'contactNumber', width: 18 },
+    { header: 'Site', key: 'site', width: 18 },
+    { header: 'Join Date', key: 'joinDate', width: 12 }
+];
+const EMPLOYEE_EXPORT_COLUMNS = [
+    ...EMPLOYEE_COLUMNS,
+    { header: 'Role', key: 'role', width: 12 },
+    { header: 'Status', key: 'status', width: 12 }
+];
+const IMPORT_REQUIRED_FIELDS = ['employerId', 'name', 'username', 'email'];
+const IMPORT_MAX_ROWS = 500;
+
+// Header text to field key, ignoring case, spaces and punctuation ("Employer ID", "employer_id")
+const normalizeHeader = (text) => String(text ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const IMPORT_HEADERS = new Map(EMPLOYEE_COLUMNS.map(column => [normalizeHeader(column.header), column]));
+
+// Splits CSV text into rows of cells (RFC 4180 quoting). Cells stay text, so employer
+// IDs and phone numbers keep their leading zeros.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Plain text of an ExcelJS cell value (rich text, hyperlinks, formula results and dates included)
+const cellText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return toDayKey(value);
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return cellText(value.text);
+        if (value.result !== undefined) return cellText(value.result);
+    }
+    return String(value).trim();
+};
+
+// Reads the uploaded .xlsx (first sheet) or .csv into { rows: [{ line, values }] }, where
+// values is keyed by field, or returns { error } when the file cannot be used
+const readEmployeeFile = async (file) => {
+    let table = [];
+    if (/\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv') {
+        table = parseCsv(file.buffer.toString('utf8').replace(/^\uFEFF/, ''))
+            .map((cells, index) => ({ line: index + 1, cells: cells.map(cell => cell.trim()) }));
+    } else {
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(file.buffer);
+        } catch (error) {
+            return { error: 'The file is not a readable .xlsx or .csv spreadsheet.' };
+        }
+        const sheet = workbook.worksheets[0];
+        if (sheet) {
+            sheet.eachRow(row => table.push({ line: row.number, cells: Array.from(row.values.slice(1), cellText) }));
+        }
+    }
+    table = table.filter(row => row.cells.some(Boolean));
+    if (!table.length) return { error: 'The file is empty.' };
+
+    const [headerRow, ...dataRows] = table;
+    const columns = headerRow.cells.map(text => IMPORT_HEADERS.get(normalizeHeader(text)));
+    const missing = IMPORT_REQUIRED_FIELDS.filter(field => !columns.some(column => column && column.key === field));
+    if (missing.length) {
+        const headers = missing.map(field => EMPLOYEE_COLUMNS.find(column => column.key === field).header);
+        return { error: `Missing column(s): ${headers.join(', ')}. Download the template for the expected headers.` };
+    }
+    if (!dataRows.length) return { error: 'The file has headers but no employees.' };
+    if (dataRows.length > IMPORT_MAX_ROWS) return { error: `At most ${IMPORT_MAX_ROWS} employees can be imported at once.` };
+
+    return {
+        rows: dataRows.map(row => {
+            const values = {};
+            columns.forEach((column, index) => {
+                if (column && row.cells[index]) values[column.key] = row.cells[index];
+            });
+            return { line: row.line, values };
+        })
+    };
+};
+
+// Checks every row against UserSchema, the existing accounts, the sites and the other
+// rows of the file. Adds errors (a list of messages, empty when the row can be imported).
+const validateImportRows = async (rows) => {
+    const employerIds = rows.map(row => row.values.employerId).filter(Boolean);
+    const usernames = rows.map(row => row.values.username).filter(Boolean);
+    const byIdOrName = { $or: [{ employerId: { $in: employerIds } }, { username: { $in: usernames } }] };
+    const existing = [
+        ...await User.find(byIdOrName, 'employerId username'),
+        ...await Registration.find(byIdOrName, 'employerId username'),
+        ...await Invitation.find({ employerId: { $in: employerIds }, expiresAt: { $gt: new Date() } }, 'employerId')
+    ];
+    const takenIds = new Set(existing.map(user => user.employerId));
+    const takenUsernames = new Set(existing.map(user => user.username));
+    const siteNames = new Set((await Site.find({}, 'name')).map(site => site.name));
+    const firstLineOf = { employerId: new Map(), username: new Map() };
+
+    rows.forEach(row => {
+        const { values } = row;
+        const errors = [];
+        IMPORT_REQUIRED_FIELDS.forEach(field => {
+            if (!values[field]) errors.push(`${EMPLOYEE_COLUMNS.find(column => column.key === field).header} is required.`);
+        });
+        if (values.employerId && validateEmployerId(values.employerId)) errors.push(validateEmployerId(values.employerId));
+        if (values.email && !EMAIL_PATTERN.test(values.email)) errors.push(`'${values.email}' is not a valid email address.`);
+        if (takenIds.has(values.employerId)) errors.push(`Employer ID ${values.employerId} already exists, is invited or is waiting for approval.`);
+        if (takenUsernames.has(values.username)) errors.push(`Username ${values.username} is already taken.`);
+        ['employerId', 'username'].forEach(field => {
+            if (!values[field]) return;
+            const first = firstLineOf[field].get(values[field]);
+            if (first) errors.push(`${field === 'employerId' ? 'Employer ID' : 'Username'} ${values[field]} is repeated from row ${first}.`);
+            else firstLineOf[field].set(values[field], row.line);
+        });
+        if (values.site && !siteNames.has(values.site)) errors.push(`Unknown site '${values.site}'.`);
+        if (values.joinDate && !(DAY_KEY_PATTERN.test(values.joinDate) && !isNaN(new Date(values.joinDate)))) {
+            errors.push('Join Date must be in YYYY-MM-DD format.');
+        }
+        if (!errors.length) {
+            const schemaError = new User({ ...importedUserFields(values), password: 'not-checked-here' }).validateSync();
+            if (schemaError) errors.push(...Object.values(schemaError.errors).map(error => error.message));
+        }
+        row.errors = errors;
+    });
+    return rows;
+};
+
+// The User fields for an import row; imported accounts are always plain employees
+const importedUserFields = (values) => ({
+    employerId: values.employerId,
+    name: values.name,
+    username: values.username,
+    email: values.email,
+    jobTitle: values.jobTitle,
+    department: values.department,
+    contactNumber: values.contactNumber,
+    site: values.site,
+    joinDate: values.joinDate ? new Date(`${values.joinDate}T00:00:00Z`) : new Date(),
+    role: 'employee'
+});
+
+const importRowSummary = (row) => ({
+    line: row.line,
+    employerId: row.values.employerId || '',
+    name: row.values.name || '',
+    username: row.values.username || '',
+    email: row.values.email || '',
+    errors: row.errors
+});
+
+// API 32: Admin - Import Employees from a spreadsheet (.xlsx or .csv).
+// mode=preview (default) only checks the rows; mode=import creates an account for every
+// valid row with a temporary password (returned once) that must be changed at first login.
+app.post('/api/admin/users/import', requireAuth, requirePermission('users:manage'), upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: 'Please choose a .xlsx or .csv file to import.' });
+    }
+    const commit = req.body.mode === 'import';
+
+    try {
+        const parsed = await readEmployeeFile(req.file);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+        const rows = await validateImportRows(parsed.rows);
+        const valid = rows.filter(row => !row.errors.length);
+        if (!commit) {
+            return res.json({ 
+                success: true, 
+                message: `${valid.length} of ${rows.length} employee(s) can be imported.`,
+                rows: rows.map(importRowSummary) 
+            });
+        }
+
+        const created = [];
+        for (const row of valid) {
+            const temporaryPassword = generateTemporaryPassword();
+            try {
+                await User.create({ 
+                    ...importedUserFields(row.values), 
+                    password: await hashTemporaryPassword(temporaryPassword), 
+                    mustChangePassword: true 
+                });
+            } catch (error) {
+                // Someone registered the same ID or username while the import was running
+                if (error.code !== 11000) throw error;
+                row.errors.push('Employer ID or username was taken while importing.');
+                continue;
+            }
+            await recordAudit(req.user, 'user.import', row.values.employerId);
+            created.push({ ...importRowSummary(row), temporaryPassword });
+        }
+        res.json({ 
+            success: true, 
+            message: `Created ${created.length} account(s); ${rows.length - created.length} row(s) skipped.`,
+            created,
+            rows: rows.map(importRowSummary)
+        });
+    } catch (error) {
+        console.error('Employee import error:', error);
+        res.status(500).json({ success: false, message: 'Server error while importing employees.' });
+    }
+});
+
+// API 33: Admin - Export the Employee Directory (?format=xlsx or csv; ?template=true for headers only)
+app.get('/api/admin/users/export', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    const format = req.query.format || 'xlsx';
+    if (!['xlsx', 'csv'].includes(format)) {
+        return res.status(400).send('Format must be one of: xlsx, csv.');
+    }
+    const template = req.query.template === 'true';
+    const columns = template ? EMPLOYEE_COLUMNS : EMPLOYEE_EXPORT_COLUMNS;
+    const fileName = template ? 'employee_import_template' : `employees_${toDayKey(new Date())}`;
+    const rowOf = (user) => ({
+        ...Object.fromEntries(EMPLOYEE_COLUMNS.map(column => [column.key, user[column.key] || ''])),
+        joinDate: user.joinDate ? toDayKey(user.joinDate) : '',
+        role: user.role,
+        status: user.active === false ? 'Deactivated' : 'Active'
+    });
+
+    try {
+        const cursor = template ? [] : closingCursor(User.find({}, 'employerId name username email jobTitle department contactNumber site joinDate role active')
+            .sort({ employerId: 1 }).cursor());
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+            res.write(csvLine(columns.map(column => column.header)));
+            for await (const user of cursor) {
+                const row = rowOf(user);
+                if (!res.write(csvLine(columns.map(column => row[column.key])))) await waitForDrain(res);
+            }
+            return res.end();
+        }
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+        const sheet = addReportSheet(workbook, 'Employees', columns);
+        for await (const user of cursor) {
+            sheet.addRow(rowOf(user)).commit();
+            await waitForDrain(res);
+        }
+        sheet.commit();
+        await workbook.commit();
+    } catch (error) {
+        if (error.code === DOWNLOAD_ABORTED) return;
+        console.error('Employee export error:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).send('Failed to export employees.');
+    }
+});
+
+// --- Registration Approval & Invitations (HR/Admin) ---
+
+// API 34: Admin - Registrations Waiting for Approval
+app.get('/api/admin/registrations', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const registrations = await Registration.find({}, '-password').sort({ submittedAt: 1 });
+        res.json({ success: true, registrations });
+    } catch (error) {
+        console.error('Registration list error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading registrations.' });
+    }
+});
+
+// API 35: Admin - Approve a Registration (creates the employee account)
+app.post('/api/admin/registrations/:id/approve', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Registration not found.' });
+    }
+    const { site } = req.body;
+    try {
+        const registration = await Registration.findById(req.params.id);
+        if (!registration) {
+            return res.status(404).json({ success: false, message: 'Registration not found.' });
+        }
+        if (site && !(await Site.exists({ name: site }))) {
+            return res.status(400).json({ success: false, message: `Unknown site '${site}'.` });
+        }
+        const conflict = await findIdentityConflict(registration.employerId, registration.username, { registrationId: registration._id });
+        if (conflict) {
+            return res.status(409).json({ success: false, message: conflict });
+        }
+
+        const { name, employerId, username, password, jobTitle, department, contactNumber, email } = registration;
+        await User.create({ 
+            name, employerId, username, password, jobTitle, department, contactNumber, email, 
+            site: site || undefined,
+            role: 'employee', 
+            joinDate: new Date() 
+        });
+        await Registration.deleteOne({ _id: registration._id });
+        await recordAudit(req.user, 'user.registration-approved', employerId);
+        if (email) {
+            await sendEmail(email, 'Your EPPI account has been approved', `
+                <p>Hello ${escapeHtml(name)},</p>
+                <p>Your EPPI registration (${escapeHtml(employerId)}) has been approved. You can now log in as ${escapeHtml(username)}.</p>
+            `);
+        }
+        res.json({ success: true, message: `${name} (${employerId}) can now log in.` });
+    } catch (error) {
+        console.error('Registration approval error:', error);
+        res.status(500).json({ success: false, message: 'Server error while approving the registration.' });
+    }
+});
+
+// API 36: Admin - Reject a Registration (the applicant is told by email, with the reason if given)
+app.post('/api/admin/registrations/:id/reject', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Registration not found.' });
+    }
+    const reason = String(req.body.reason || '').trim();
+    try {
+        const registration = await Registration.findByIdAndDelete(req.params.id);
+        if (!registration) {
+            return res.status(404).json({ success: false, message: 'Registration not found.' });
+        }
+        await recordAudit(req.user, 'user.registration-rejected', registration.employerId, reason ? { reason: { from: null, to: reason } } : undefined);
+        if (registration.email) {
+            await sendEmail(registration.email, 'Your EPPI registration', `
+                <p>Hello ${escapeHtml(registration.name)},</p>
+                <p>Your EPPI registration (${escapeHtml(registration.employerId)}) was not approved.</p>
+                ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+                <p>Please contact HR if you think this is a mistake.</p>
+            `);
+        }
+        res.json({ success: true, message: `Registration of ${registration.name} (${registration.employerId}) rejected.` });
+    } catch (error) {
+        console.error('Registration rejection error:', error);
+        res.status(500).json({ success: false, message: 'Server error while rejecting the registration.' });
+    }
+});
+
+// API 37: Admin - Open Invitations
+app.get('/api/admin/invitations', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const invitations = await Invitation.find({ expiresAt: { $gt: new Date() } }, '-tokenHash').sort({ createdAt: -1 });
+        res.json({ success: true, invitations });
+    } catch (error) {
+        console.error('Invitation list error:', error);
+        res.status(500).json({ success: false, message: 'Server error while loading invitations.' });
+    }
+});
+
+// API 38: Admin - Invite an Employee. Emails a signup link that can only create the
+// account for this employer ID. Inviting the same ID again replaces the old link.
+app.post('/api/admin/invitations', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    const { name, jobTitle, department, site } = req.body;
+    const employerId = String(req.body.employerId || '').trim();
+    const email = String(req.body.email || '').trim();
+    if (!employerId || !name || !email) {
+        return res.status(400).json({ success: false, message: 'Employer ID, name and email are required.' });
+    }
+    const idError = validateEmployerId(employerId);
+    if (idError) {
+        return res.status(400).json({ success: false, message: idError });
+    }
+    if (!EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ success: false, message: 'Please enter a valid email address.' });
+    }
+    if (!APP_URL) {
+        return res.status(503).json({ success: false, message: APP_URL_MISSING });
+    }
+
+    try {
+        if (site && !(await Site.exists({ name: site }))) {
+            return res.status(400).json({ success: false, message: `Unknown site '${site}'.` });
+        }
+        // An earlier invitation for this ID is no conflict: it is replaced below in one step,
+        // so a request that fails here leaves the old link working
+        const previous = await Invitation.findOne({ employerId }, '_id');
+        const conflict = await findIdentityConflict(employerId, undefined, { invitationId: previous && previous._id });
+        if (conflict) {
+            return res.status(409).json({ success: false, message: conflict });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        await Invitation.findOneAndReplace({ employerId }, { 
+            tokenHash: hashToken(token), 
+            employerId, name, email, jobTitle, department, 
+            site: site || undefined,
+            invitedBy: req.user.employerId,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+        }, { upsert: true });
+        await recordAudit(req.user, 'user.invite', employerId, { email: { from: null, to: email } });
+
+        const link = appLink(`register.html?invitation=${token}`);
+        const sent = await sendEmail(email, 'You are invited to EPPI', `
+            <p>Hello ${escapeHtml(name)},</p>
+            <p>${escapeHtml(req.user.name)} has invited you to create your EPPI account (Employer ID ${escapeHtml(employerId)}).</p>
+            <p><a href="${escapeHtml(link)}">Create your account</a></p>
+            <p>The link expires in ${INVITATION_TTL_DAYS} days.</p>
+        `);
+        if (!sent) {
+            // The link is shown only when it could not be delivered, so HR can pass it on
+            return res.json({ 
+                success: true, 
+                message: `Invitation created, but the email to ${email} could not be sent. Please pass on the signup link yourself.`,
+                signupLink: link 
+            });
+        }
+        res.json({ success: true, message: `Invitation sent to ${email}.` });
+    } catch (error) {
+        console.error('Invitation error:', error);
+        res.status(500).json({ success: false, message: 'Server error while sending the invitation.' });
+    }
+});
+
+// API 39: Admin - Withdraw an Invitation
+app.delete('/api/admin/invitations/:id', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Invitation not found.' });
+    }
+    try {
+        const invitation = await Invitation.findByIdAndDelete(req.params.id);
+        if (!invitation) {
+            return res.status(404).json({ success: false, message: 'Invitation not found.' });
+        }
+        await recordAudit(req.user, 'user.invite-withdrawn', invitation.employerId);
+        res.json({ success: true, message: `Invitation for ${invitation.employerId} withdrawn.` });
+    } catch (error) {
+        console.error('Invitation withdrawal error:', error);
+        res.status(500).json({ success: false, message: 'Server error while withdrawing the invitation.' });
     }
 });
 
@@ -0,0 +1,95 @@
+// Service worker for the EPPI app: keeps the app shell cached so the dashboard opens
+// from the home screen without a connection, and uploads punches queued while offline
+// (see punch-queue.js) when the browser reports the connection is back.
+importScripts('punch-queue.js');
+
+// Bump the version whenever a shell file changes so clients pick up the new copy
+const SHELL_CACHE = 'eppi-shell-v10';
+const SHELL_FILES = [
+    'main.html',
+    'index.html',
+    'offline.html',
+    'style.css',
+    'attendance.js',
+    'punch-queue.js',
+    'pwa.js',
+    'manifest.webmanifest',
+    'upscalemedia-transformed.jpg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll(SHELL_FILES))
+        .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+        .then(() => self.clients.claim())
+    );
+});
+
+// The server serves index.html at the site root
+const cacheKeyFor = (url) => (url.pathname === '/' ? 'index.html' : url.pathname.slice(1));
+
+// Pages: network first so employees always get the current version, then the cached
+// copy, then the offline screen. Other shell files: cached copy at once, refreshed in the background.
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // API calls are never cached; the offline punch queue covers attendance
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    const key = cacheKeyFor(url);
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+            .then(response => {
+                if (response.ok && SHELL_FILES.includes(key)) {
+                    const copy = response.clone();
+                    caches.open(SHELL_CACHE).then(cache => cache.put(key, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(key).then(cached => cached || caches.match('offline.html')))
+        );
+        return;
+    }
+
+    if (!SHELL_FILES.includes(key)) return;
+    event.respondWith(
+        caches.open(SHELL_CACHE).then(cache => cache.match(key).then(cached => {
+            const refresh = fetch(request)
+            .then(response => {
+                if (response.ok) cache.put(key, response.clone());
+                return response;
+            });
+            if (!cached) return refresh;
+            refresh.catch(() => {});
+            return cached;
+        }))
+    );
+});
+
+// Tells open pages what was synced so they can update the dashboard
+const notifyClients = (results) => self.clients.matchAll({ type: 'window' })
+    .then(clients => clients.forEach(client => client.postMessage({ type: 'punch-queue-synced', results })));
+
+self.addEventListener('sync', event => {
+    if (event.tag !== PunchQueue.SYNC_TAG) return;
+    event.waitUntil(
+        PunchQueue.flush()
+        .then(({ employerId, results }) => notifyClients(results)
+        .then(() => (employerId ? PunchQueue.count(employerId) : 0))
+        .then(remaining => {
+            // Rejecting makes the browser retry the sync later
+            if (remaining) throw new Error(`${remaining} punch(es) still queued`);
+        }))
+    );
+});